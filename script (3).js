@@ -1,9 +1,12 @@
 class MusicStorage {
     constructor() {
         this.dbName = 'MusicPlayerDB';
-        this.dbVersion = 1;
+        this.dbVersion = 8;
         this.db = null;
         this.storeName = 'songs';
+        this.playlistStoreName = 'playlists';
+        this.stateStoreName = 'state';
+        this.historyStoreName = 'history';
     }
 
     async init() {
@@ -24,6 +27,46 @@ class MusicStorage {
                     store.createIndex('artist', 'artist', { unique: false });
                     store.createIndex('dateAdded', 'dateAdded', { unique: false });
                 }
+                const songStore = event.target.transaction.objectStore(this.storeName);
+                ['album', 'genre'].forEach(field => {
+                    if (!songStore.indexNames.contains(field)) {
+                        songStore.createIndex(field, field, { unique: false });
+                    }
+                });
+                // Not unique: "Keep both" on import stores a second copy with the same hash. Imports and
+                // restores look the hash up with getSongIdByHash instead, and version 5 databases had a
+                // unique index that is swapped out here
+                if (songStore.indexNames.contains('contentHash') && songStore.index('contentHash').unique) {
+                    songStore.deleteIndex('contentHash');
+                }
+                if (!songStore.indexNames.contains('contentHash')) {
+                    songStore.createIndex('contentHash', 'contentHash', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.playlistStoreName)) {
+                    const playlistStore = db.createObjectStore(this.playlistStoreName, { keyPath: 'id', autoIncrement: true });
+                    playlistStore.createIndex('name', 'name', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.stateStoreName)) {
+                    db.createObjectStore(this.stateStoreName, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(this.historyStoreName)) {
+                    const historyStore = db.createObjectStore(this.historyStoreName, { keyPath: 'id', autoIncrement: true });
+                    historyStore.createIndex('playedAt', 'playedAt', { unique: false });
+                    historyStore.createIndex('songId', 'songId', { unique: false });
+                }
+                ['sortTitle', 'sortArtist', 'duration', 'playCount'].forEach(field => {
+                    if (!songStore.indexNames.contains(field)) {
+                        songStore.createIndex(field, field, { unique: false });
+                    }
+                });
+                if (event.oldVersion > 0 && event.oldVersion < 7) {
+                    songStore.openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        cursor.update({ ...cursor.value, ...songSortKeys(cursor.value) });
+                        cursor.continue();
+                    };
+                }
             };
         });
     }
@@ -35,11 +78,36 @@ class MusicStorage {
             
             const request = store.add({
                 ...songData,
-                dateAdded: new Date().toISOString()
+                ...songSortKeys(songData),
+                dateAdded: songData.dateAdded || new Date().toISOString()
             });
             
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+            // Running out of quota aborts the transaction after the add itself has succeeded
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onabort = () => reject(transaction.error || request.error);
+        });
+    }
+
+    async updateSong(id, changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.get(id);
+            let updated = null;
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    reject(new Error(`Song ${id} not found`));
+                    return;
+                }
+                updated = { ...request.result, ...changes };
+                Object.assign(updated, songSortKeys(updated));
+                store.put(updated);
+            };
+            
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
     }
 
@@ -56,8 +124,189 @@ class MusicStorage {
 
     async deleteSong(id) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
+            const transaction = this.db.transaction([this.storeName, this.playlistStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).delete(id);
+
+            const cursorRequest = transaction.objectStore(this.playlistStoreName).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                if (cursor.value.songIds.includes(id)) {
+                    cursor.update({
+                        ...cursor.value,
+                        songIds: cursor.value.songIds.filter(songId => songId !== id)
+                    });
+                }
+                cursor.continue();
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async clearAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.playlistStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+
+            const cursorRequest = transaction.objectStore(this.playlistStoreName).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                cursor.update({ ...cursor.value, songIds: [] });
+                cursor.continue();
+            };
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getSongIdByHash(hash) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('contentHash').getKey(hash);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getRecentSongIds(limit) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index('dateAdded').openKeyCursor(null, 'prev');
+            const ids = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || ids.length >= limit) {
+                    resolve(ids);
+                    return;
+                }
+                ids.push(cursor.primaryKey);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async recordHistory(entry) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.historyStoreName, this.storeName], 'readwrite');
+            const addRequest = transaction.objectStore(this.historyStoreName).add(entry);
+            const songStore = transaction.objectStore(this.storeName);
+            const songRequest = songStore.get(entry.songId);
+            let changes = null;
+
+            songRequest.onsuccess = () => {
+                const song = songRequest.result;
+                if (!song) return;
+                changes = entry.type === 'play'
+                    ? { playCount: (song.playCount || 0) + 1, lastPlayed: entry.playedAt }
+                    : { skipCount: (song.skipCount || 0) + 1 };
+                songStore.put({ ...song, ...changes });
+            };
+
+            transaction.oncomplete = () => resolve({ id: addRequest.result, changes });
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async updateHistoryEntry(id, changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.historyStoreName], 'readwrite');
+            const store = transaction.objectStore(this.historyStoreName);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (request.result) store.put({ ...request.result, ...changes });
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getHistory(since) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.historyStoreName], 'readonly');
+            const index = transaction.objectStore(this.historyStoreName).index('playedAt');
+            const request = index.getAll(since ? IDBKeyRange.lowerBound(since) : null);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSortedIds(indexName, direction) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index(indexName).openKeyCursor(null, direction);
+            const ids = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(ids);
+                    return;
+                }
+                ids.push(cursor.primaryKey);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getGroupedIds(indexName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).index(indexName).openKeyCursor();
+            const groups = new Map();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(groups);
+                    return;
+                }
+                if (!groups.has(cursor.key)) groups.set(cursor.key, []);
+                groups.get(cursor.key).push(cursor.primaryKey);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllPlaylists() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.playlistStoreName], 'readonly');
+            const store = transaction.objectStore(this.playlistStoreName);
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async savePlaylist(playlist) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.playlistStoreName], 'readwrite');
+            const store = transaction.objectStore(this.playlistStoreName);
+            const request = playlist.id
+                ? store.put(playlist)
+                : store.add({ ...playlist, dateCreated: playlist.dateCreated || new Date().toISOString() });
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deletePlaylist(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.playlistStoreName], 'readwrite');
+            const store = transaction.objectStore(this.playlistStoreName);
             const request = store.delete(id);
             
             request.onsuccess = () => resolve();
@@ -65,11 +314,22 @@ class MusicStorage {
         });
     }
 
-    async clearAll() {
+    async getState(key) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const store = transaction.objectStore(this.storeName);
-            const request = store.clear();
+            const transaction = this.db.transaction([this.stateStoreName], 'readonly');
+            const store = transaction.objectStore(this.stateStoreName);
+            const request = store.get(key);
+            
+            request.onsuccess = () => resolve(request.result ? request.result.value : undefined);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async setState(key, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stateStoreName], 'readwrite');
+            const store = transaction.objectStore(this.stateStoreName);
+            const request = store.put({ key, value });
             
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
@@ -77,113 +337,3228 @@ class MusicStorage {
     }
 }
 
-class EnhancedMusicPlayer {
+const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_DEFAULT_Q = 1.41;
+const EQ_MIN_FREQUENCY = 20;
+const EQ_MAX_FREQUENCY = 20000;
+
+function formatFrequency(frequency) {
+    return frequency >= 1000 ? `${Number((frequency / 1000).toFixed(1))}k` : String(Math.round(frequency));
+}
+
+const EQ_PRESETS = {
+    'Flat': [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    'Bass Boost': [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    'Treble Boost': [0, 0, 0, 0, 0, 1, 2, 4, 5, 6],
+    'Vocal': [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1],
+    'Rock': [4, 3, 2, 0, -1, -1, 1, 2, 3, 4],
+    'Pop': [-1, 1, 2, 3, 2, 0, -1, -1, 1, 1],
+    'Jazz': [3, 2, 1, 2, -1, -1, 0, 1, 2, 3],
+    'Classical': [4, 3, 2, 1, -1, -1, 0, 2, 3, 4],
+    'Electronic': [5, 4, 1, 0, -2, 1, 0, 1, 4, 5],
+    'Loudness': [5, 3, 0, 0, -1, 0, -1, -3, 3, 4]
+};
+
+class Equalizer {
+    constructor(audioContext) {
+        this.context = audioContext;
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.preamp = audioContext.createGain();
+        this.enabled = null;
+
+        this.filters = EQ_FREQUENCIES.map((frequency, index) => {
+            const filter = audioContext.createBiquadFilter();
+            if (index === 0) {
+                filter.type = 'lowshelf';
+            } else if (index === EQ_FREQUENCIES.length - 1) {
+                filter.type = 'highshelf';
+            } else {
+                filter.type = 'peaking';
+                filter.Q.value = EQ_DEFAULT_Q;
+            }
+            filter.frequency.value = frequency;
+            filter.gain.value = 0;
+            return filter;
+        });
+
+        this.preamp.connect(this.filters[0]);
+        this.filters.reduce((previous, filter) => {
+            previous.connect(filter);
+            return filter;
+        });
+        this.filters[this.filters.length - 1].connect(this.output);
+        this.setEnabled(true);
+    }
+
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
+        this.enabled = enabled;
+        this.input.disconnect();
+        this.input.connect(enabled ? this.preamp : this.output);
+    }
+
+    setPreamp(decibels) {
+        this.preamp.gain.setTargetAtTime(Math.pow(10, decibels / 20), this.context.currentTime, 0.02);
+    }
+
+    setGains(gains) {
+        this.filters.forEach((filter, index) => {
+            filter.gain.setTargetAtTime(gains[index] || 0, this.context.currentTime, 0.02);
+        });
+    }
+
+    // Shelf filters ignore Q, so only the peaking bands take one
+    setBands(frequencies, qs) {
+        this.filters.forEach((filter, index) => {
+            filter.frequency.setTargetAtTime(frequencies[index] || EQ_FREQUENCIES[index], this.context.currentTime, 0.02);
+            if (filter.type === 'peaking') {
+                filter.Q.setTargetAtTime(qs[index] || EQ_DEFAULT_Q, this.context.currentTime, 0.02);
+            }
+        });
+    }
+
+    apply(settings) {
+        this.setEnabled(settings.enabled);
+        this.setPreamp(settings.preamp);
+        this.setGains(settings.gains);
+        this.setBands(settings.frequencies || EQ_FREQUENCIES, settings.qs || []);
+    }
+}
+
+// Shifts pitch without changing tempo using two crossfaded taps sweeping across a short delay line
+const PITCH_SHIFT_WORKLET = `
+class PitchShiftProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'ratio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
     constructor() {
-        this.audio = document.getElementById('audioPlayer');
-        this.playPauseBtn = document.getElementById('playPauseBtn');
-        this.prevBtn = document.getElementById('prevBtn');
-        this.nextBtn = document.getElementById('nextBtn');
-        this.progressBar = document.querySelector('.progress-bar');
-        this.progress = document.getElementById('progress');
-        this.progressHandle = document.getElementById('progressHandle');
-        this.currentTimeEl = document.getElementById('currentTime');
-        this.durationEl = document.getElementById('duration');
-        this.volumeSlider = document.getElementById('volumeSlider');
-        this.trackTitle = document.getElementById('trackTitle');
-        this.trackArtist = document.getElementById('trackArtist');
-        this.albumArt = document.getElementById('albumArt');
-        this.audioUpload = document.getElementById('audioUpload');
-        this.playlistContainer = document.querySelector('.playlist-container');
-        
-        this.storage = new MusicStorage();
-        this.playlist = [];
-        this.currentTrackIndex = 0;
-        this.isPlaying = false;
-        this.isDragging = false;
-        this.lastProgressUpdate = 0;
-        this.recentlyPlayed = JSON.parse(localStorage.getItem('recentlyPlayed') || '[]');
-        
-        this.init();
+        super();
+        this.windowSize = Math.round(sampleRate * 0.08);
+        this.bufferLength = this.windowSize + 2;
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.phase = 0;
     }
 
-    async init() {
-        try {
-            await this.storage.init();
-            await this.loadStoredSongs();
-            this.setupEventListeners();
-            this.setVolume(localStorage.getItem('volume') || 50);
-            this.setupDragAndDrop();
-            this.setupPlaylistManagement();
-            this.setupSearch();
-        } catch (error) {
-            console.error('Failed to initialize music player:', error);
-            this.setupEventListeners();
-            this.setVolume(50);
-            this.loadSampleTrack();
-        }
+    read(buffer, delay) {
+        let position = this.writeIndex - delay;
+        if (position < 0) position += this.bufferLength;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        return buffer[index % this.bufferLength] * (1 - fraction) +
+            buffer[(index + 1) % this.bufferLength] * fraction;
     }
 
-    async loadStoredSongs() {
-        try {
-            const storedSongs = await this.storage.getAllSongs();
-            this.playlist = storedSongs.map(song => ({
-                ...song,
-                src: URL.createObjectURL(song.audioBlob)
-            }));
-            
-            if (this.playlist.length > 0) {
-                this.loadTrack(0);
-                this.updatePlaylistDisplay();
-            } else {
-                this.loadSampleTrack();
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.ratio[0];
+        const frames = input.length > 0 ? input[0].length : 0;
+        while (this.buffers.length < input.length) this.buffers.push(new Float32Array(this.bufferLength));
+
+        for (let i = 0; i < frames; i++) {
+            const phaseB = (this.phase + 0.5) % 1;
+            const gainA = Math.sin(Math.PI * this.phase) ** 2;
+            for (let channel = 0; channel < input.length; channel++) {
+                const buffer = this.buffers[channel];
+                buffer[this.writeIndex] = input[channel][i];
+                output[channel][i] = ratio === 1
+                    ? input[channel][i]
+                    : this.read(buffer, this.phase * this.windowSize) * gainA +
+                        this.read(buffer, phaseB * this.windowSize) * (1 - gainA);
             }
-        } catch (error) {
-            console.error('Failed to load stored songs:', error);
-            this.loadSampleTrack();
+            this.writeIndex = (this.writeIndex + 1) % this.bufferLength;
+            this.phase = (this.phase + (1 - ratio) / this.windowSize + 1) % 1;
         }
+        return true;
     }
+}
 
-    setupEventListeners() {
-        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
-        this.prevBtn.addEventListener('click', () => this.previousTrack());
-        this.nextBtn.addEventListener('click', () => this.nextTrack());
-        
-        this.progressBar.addEventListener('click', (e) => this.setProgress(e));
-        this.progressHandle.addEventListener('mousedown', () => this.startDragging());
-        document.addEventListener('mousemove', (e) => this.handleDragging(e));
-        document.addEventListener('mouseup', () => this.stopDragging());
-        
-        this.volumeSlider.addEventListener('input', (e) => {
-            this.setVolume(e.target.value);
-            localStorage.setItem('volume', e.target.value);
-        });
-        
-        this.audio.addEventListener('loadedmetadata', () => this.updateDuration());
-        this.audio.addEventListener('timeupdate', () => this.updateProgress());
-        this.audio.addEventListener('ended', () => this.nextTrack());
-        
-        this.audioUpload.addEventListener('change', (e) => this.handleFileUpload(e));
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+registerProcessor('pitch-shift', PitchShiftProcessor);
+`;
+
+const VISUALIZER_MODES = ['bars', 'wave', 'circular'];
+
+class Visualizer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.analyser = null;
+        this.mode = 'bars';
+        this.frameId = null;
+        this.frequencyData = null;
+        this.waveformData = null;
     }
 
-    setupSearch() {
-        const searchInput = document.getElementById('searchInput');
-        const clearSearch = document.getElementById('clearSearch');
+    setAnalyser(analyser) {
+        this.analyser = analyser;
+        this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        this.waveformData = new Uint8Array(analyser.fftSize);
+    }
 
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                const query = e.target.value.trim();
-                this.filterPlaylist(query);
-                clearSearch.style.display = query ? 'block' : 'none';
-            });
+    setMode(mode) {
+        this.mode = VISUALIZER_MODES.includes(mode) ? mode : 'bars';
+    }
+
+    start() {
+        if (this.frameId || !this.analyser) return;
+        const render = () => {
+            this.draw();
+            this.frameId = requestAnimationFrame(render);
+        };
+        this.frameId = requestAnimationFrame(render);
+    }
+
+    stop() {
+        if (this.frameId) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    clear() {
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
         }
+    }
 
-        if (clearSearch) {
-            clearSearch.addEventListener('click', () => {
-                searchInput.value = '';
-                this.filterPlaylist('');
-                clearSearch.style.display = 'none';
-            });
+    draw() {
+        this.resize();
+        this.clear();
+
+        if (this.mode === 'wave') {
+            this.drawWaveform();
+        } else if (this.mode === 'circular') {
+            this.drawCircular();
+        } else {
+            this.drawBars();
+        }
+    }
+
+    getBands(count) {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        const maxBin = this.frequencyData.length * 0.75;
+        const bands = [];
+
+        for (let i = 0; i < count; i++) {
+            const start = Math.floor(Math.pow(maxBin, i / count));
+            const end = Math.max(start + 1, Math.floor(Math.pow(maxBin, (i + 1) / count)));
+            let sum = 0;
+            for (let bin = start; bin < end; bin++) sum += this.frequencyData[bin];
+            bands.push(sum / (end - start) / 255);
+        }
+
+        return bands;
+    }
+
+    createGradient(x0, y0, x1, y1) {
+        const gradient = this.context.createLinearGradient(x0, y0, x1, y1);
+        gradient.addColorStop(0, '#667eea');
+        gradient.addColorStop(0.5, '#764ba2');
+        gradient.addColorStop(1, '#f093fb');
+        return gradient;
+    }
+
+    drawBars() {
+        const { width, height } = this.canvas;
+        const bands = this.getBands(48);
+        const barWidth = width / bands.length;
+
+        this.context.fillStyle = this.createGradient(0, height, 0, 0);
+        bands.forEach((value, index) => {
+            const barHeight = Math.max(2, value * height);
+            this.context.fillRect(index * barWidth + 1, height - barHeight, barWidth - 2, barHeight);
+        });
+    }
+
+    drawWaveform() {
+        const { width, height } = this.canvas;
+        this.analyser.getByteTimeDomainData(this.waveformData);
+
+        this.context.lineWidth = 2 * (window.devicePixelRatio || 1);
+        this.context.strokeStyle = this.createGradient(0, 0, width, 0);
+        this.context.beginPath();
+
+        const step = width / (this.waveformData.length - 1);
+        this.waveformData.forEach((value, index) => {
+            const y = (value / 255) * height;
+            if (index === 0) {
+                this.context.moveTo(0, y);
+            } else {
+                this.context.lineTo(index * step, y);
+            }
+        });
+        this.context.stroke();
+    }
+
+    drawCircular() {
+        const { width, height } = this.canvas;
+        const bands = this.getBands(64);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) * 0.36;
+        const maxLength = Math.min(width, height) * 0.13;
+
+        this.context.lineWidth = 3 * (window.devicePixelRatio || 1);
+        this.context.lineCap = 'round';
+        this.context.strokeStyle = this.createGradient(0, 0, width, height);
+        this.context.beginPath();
+
+        const values = [...bands, ...bands.slice().reverse()];
+        values.forEach((value, index) => {
+            const angle = (index / values.length) * Math.PI * 2 - Math.PI / 2;
+            const length = 2 + value * maxLength;
+            this.context.moveTo(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius);
+            this.context.lineTo(centerX + Math.cos(angle) * (radius + length), centerY + Math.sin(angle) * (radius + length));
+        });
+        this.context.stroke();
+    }
+}
+
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+
+// Runs inside the loudness worker, so it must not reference anything outside its own body
+function measureLoudnessBlocks(channels, sampleRate) {
+    const shelf = (() => {
+        const f0 = 1681.974450955533;
+        const gain = 3.999843853973347;
+        const q = 0.7071752369554196;
+        const k = Math.tan(Math.PI * f0 / sampleRate);
+        const vh = Math.pow(10, gain / 20);
+        const vb = Math.pow(vh, 0.4996667741545416);
+        const a0 = 1 + k / q + k * k;
+        return {
+            b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+            a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+        };
+    })();
+    const highPass = (() => {
+        const f0 = 38.13547087602444;
+        const q = 0.5003270373238773;
+        const k = Math.tan(Math.PI * f0 / sampleRate);
+        const a0 = 1 + k / q + k * k;
+        return {
+            b: [1, -2, 1],
+            a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+        };
+    })();
+
+    const segmentLength = Math.round(sampleRate * 0.1);
+    const segmentCount = Math.floor(channels[0].length / segmentLength);
+    const segments = new Float64Array(segmentCount);
+    // BS.1770 weights for 5.1 in WAVE order (L, R, C, LFE, Ls, Rs): the LFE is left out
+    const weights = channels.length === 6 ? [1, 1, 1, 0, 1.41, 1.41] : null;
+    let peak = 0;
+
+    channels.forEach((samples, channelIndex) => {
+        const weight = weights ? weights[channelIndex] : 1;
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        let z1 = 0, z2 = 0, w1 = 0, w2 = 0;
+
+        for (let segment = 0; segment < segmentCount; segment++) {
+            let sum = 0;
+            const end = (segment + 1) * segmentLength;
+            for (let i = segment * segmentLength; i < end; i++) {
+                const x = samples[i];
+                if (Math.abs(x) > peak) peak = Math.abs(x);
+
+                const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[0] * y1 - shelf.a[1] * y2;
+                x2 = x1; x1 = x; y2 = y1; y1 = y;
+
+                const z = highPass.b[0] * y + highPass.b[1] * w1 + highPass.b[2] * w2 - highPass.a[0] * z1 - highPass.a[1] * z2;
+                w2 = w1; w1 = y; z2 = z1; z1 = z;
+
+                sum += z * z;
+            }
+            segments[segment] += weight * sum;
+        }
+    });
+
+    const blocks = new Float64Array(Math.max(0, segmentCount - 3));
+    for (let i = 0; i < blocks.length; i++) {
+        blocks[i] = (segments[i] + segments[i + 1] + segments[i + 2] + segments[i + 3]) / (4 * segmentLength);
+    }
+
+    return { blocks, peak };
+}
+
+// Also runs inside the analysis worker
+function computeWaveformPeaks(channels, count) {
+    const peaks = new Uint8Array(count);
+    const bucketSize = Math.max(1, Math.floor(channels[0].length / count));
+
+    for (let bucket = 0; bucket < count; bucket++) {
+        const start = bucket * bucketSize;
+        const end = Math.min(channels[0].length, start + bucketSize);
+        let max = 0;
+        channels.forEach(samples => {
+            for (let i = start; i < end; i++) {
+                const value = Math.abs(samples[i]);
+                if (value > max) max = value;
+            }
+        });
+        peaks[bucket] = Math.min(255, Math.round(max * 255));
+    }
+
+    return peaks;
+}
+
+class AudioAnalyzer {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 0;
+        this.waveformLength = 600;
+        this.maxFileSize = 150 * 1024 * 1024;
+    }
+
+    getWorker() {
+        if (this.worker || typeof Worker === 'undefined') return this.worker;
+
+        const source = `${measureLoudnessBlocks.toString()}
+            ${computeWaveformPeaks.toString()}
+            self.onmessage = (event) => {
+                const { id, channels, sampleRate, waveformLength } = event.data;
+                try {
+                    const waveform = computeWaveformPeaks(channels, waveformLength);
+                    const result = measureLoudnessBlocks(channels, sampleRate);
+                    self.postMessage(
+                        { id, blocks: result.blocks, peak: result.peak, waveform },
+                        [result.blocks.buffer, waveform.buffer]
+                    );
+                } catch (error) {
+                    self.postMessage({ id, error: error.message });
+                }
+            };`;
+
+        try {
+            this.worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+            this.worker.onmessage = (event) => {
+                const { id, error, blocks, peak, waveform } = event.data;
+                const request = this.pending.get(id);
+                if (!request) return;
+                this.pending.delete(id);
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve({ blocks, peak, waveform, duration: request.duration });
+                }
+            };
+        } catch (error) {
+            console.error('Failed to start analysis worker:', error);
+            this.worker = null;
+        }
+
+        return this.worker;
+    }
+
+    // Returns null when isCancelled() turns true while the file is being decoded
+    async analyze(file, isCancelled = null) {
+        if (file.size > this.maxFileSize) {
+            throw new Error('File is too large to analyze');
+        }
+
+        // OfflineAudioContext is not available in workers, so decoding happens here
+        const context = new OfflineAudioContext(1, 1, 48000);
+        const buffer = await context.decodeAudioData(await file.arrayBuffer());
+        if (isCancelled && isCancelled()) return null;
+        const channels = [];
+        for (let i = 0; i < buffer.numberOfChannels; i++) {
+            channels.push(buffer.getChannelData(i).slice());
+        }
+
+        const worker = this.getWorker();
+        if (!worker) {
+            const waveform = computeWaveformPeaks(channels, this.waveformLength);
+            return { ...measureLoudnessBlocks(channels, buffer.sampleRate), waveform, duration: buffer.duration };
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending.set(id, { resolve, reject, duration: buffer.duration });
+            worker.postMessage(
+                { id, channels, sampleRate: buffer.sampleRate, waveformLength: this.waveformLength },
+                channels.map(channel => channel.buffer)
+            );
+        });
+    }
+
+    integratedLoudness(blocks) {
+        const toLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const absoluteGated = Array.from(blocks).filter(block => block > 0 && toLoudness(block) > -70);
+        if (absoluteGated.length === 0) return null;
+
+        const relativeGate = toLoudness(average(absoluteGated)) - 10;
+        const gated = absoluteGated.filter(block => toLoudness(block) > relativeGate);
+        return gated.length > 0 ? toLoudness(average(gated)) : null;
+    }
+
+    gainFor(loudness) {
+        return Math.round((REPLAYGAIN_REFERENCE_LUFS - loudness) * 100) / 100;
+    }
+}
+
+const ID3V1_GENRES = [
+    'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+    'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+    'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+    'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+    'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+    'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+    'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+    'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+    'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+    'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+    'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk',
+    'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival',
+    'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+    'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+    'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+    'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+    'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+    'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall'
+];
+
+class MetadataReader {
+    async read(file) {
+        try {
+            const head = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+            const magic = String.fromCharCode(...head.subarray(0, 4));
+            const tags = this.emptyTags();
+
+            if (magic.startsWith('ID3')) {
+                const tagEnd = await this.readId3v2(file, tags);
+                const next = new Uint8Array(await file.slice(tagEnd, tagEnd + 4).arrayBuffer());
+                if (String.fromCharCode(...next) === 'fLaC') {
+                    await this.readFlac(file, tagEnd, tags);
+                }
+            } else if (magic === 'fLaC') {
+                await this.readFlac(file, 0, tags);
+            } else if (magic === 'OggS') {
+                await this.readOgg(file, tags);
+            } else if (String.fromCharCode(...head.subarray(4, 8)) === 'ftyp') {
+                await this.readMp4(file, tags);
+            }
+
+            if (!tags.title && !tags.artist && file.size > 128) {
+                await this.readId3v1(file, tags);
+            }
+
+            return tags;
+        } catch (error) {
+            console.error(`Failed to read tags from ${file.name}:`, error);
+            return this.emptyTags();
+        }
+    }
+
+    emptyTags() {
+        return {
+            title: '',
+            artist: '',
+            album: '',
+            trackNumber: null,
+            year: null,
+            genre: '',
+            lyrics: '',
+            picture: null,
+            custom: {}
+        };
+    }
+
+    async readBytes(file, start, length) {
+        return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+    }
+
+    decodeText(bytes, encoding) {
+        const labels = ['iso-8859-1', 'utf-16le', 'utf-16be', 'utf-8'];
+        let label = labels[encoding] || 'utf-8';
+        if (encoding === 1 && bytes[0] === 0xFE && bytes[1] === 0xFF) label = 'utf-16be';
+        return new TextDecoder(label).decode(bytes).replace(/\0+$/, '');
+    }
+
+    syncsafe(bytes, offset) {
+        return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+    }
+
+    removeUnsynchronisation(bytes) {
+        const out = [];
+        for (let i = 0; i < bytes.length; i++) {
+            out.push(bytes[i]);
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+        }
+        return new Uint8Array(out);
+    }
+
+    findTerminator(bytes, offset, encoding) {
+        const wide = encoding === 1 || encoding === 2;
+        for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+            if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+        }
+        return bytes.length;
+    }
+
+    parseNumber(value) {
+        const number = parseInt(String(value), 10);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    parseGenre(value) {
+        const match = /^\(?(\d+)\)?(.*)$/.exec(value.trim());
+        if (!match) return value.trim();
+        return match[2].trim() || ID3V1_GENRES[parseInt(match[1], 10)] || value.trim();
+    }
+
+    applyField(tags, key, value) {
+        if (value === undefined || value === null || value === '') return;
+
+        switch (key) {
+            case 'title':
+            case 'artist':
+            case 'album':
+            case 'albumArtist':
+                if (!tags[key]) tags[key] = String(value).trim();
+                break;
+            case 'trackNumber':
+                tags.trackNumber = tags.trackNumber || this.parseNumber(value);
+                break;
+            case 'year': {
+                const match = /\d{4}/.exec(String(value));
+                tags.year = tags.year || (match ? parseInt(match[0], 10) : null);
+                break;
+            }
+            case 'genre':
+                if (!tags.genre) tags.genre = this.parseGenre(String(value));
+                break;
+            case 'lyrics':
+                if (!tags.lyrics) tags.lyrics = String(value).trim();
+                break;
+        }
+    }
+
+    async readId3v2(file, tags) {
+        const header = await this.readBytes(file, 0, 10);
+        const version = header[3];
+        const flags = header[5];
+        const size = this.syncsafe(header, 6);
+        const tagEnd = 10 + size + (flags & 0x10 ? 10 : 0);
+
+        let data = await this.readBytes(file, 10, size);
+        if (version < 4 && (flags & 0x80)) {
+            data = this.removeUnsynchronisation(data);
+        }
+
+        let offset = 0;
+        if (flags & 0x40) {
+            offset = version === 4
+                ? this.syncsafe(data, 0)
+                : new DataView(data.buffer, data.byteOffset).getUint32(0) + 4;
+        }
+
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+
+        while (offset + headerLength <= data.length) {
+            const id = String.fromCharCode(...data.subarray(offset, offset + idLength));
+            if (!/^[A-Z0-9]+$/.test(id)) break;
+
+            let frameSize;
+            if (version === 2) {
+                frameSize = (data[offset + 3] << 16) | (data[offset + 4] << 8) | data[offset + 5];
+            } else if (version === 4) {
+                frameSize = this.syncsafe(data, offset + 4);
+            } else {
+                frameSize = new DataView(data.buffer, data.byteOffset).getUint32(offset + 4);
+            }
+
+            const formatFlags = version === 2 ? 0 : data[offset + 9];
+            let frame = data.subarray(offset + headerLength, offset + headerLength + frameSize);
+            offset += headerLength + frameSize;
+
+            if (version === 4) {
+                if (formatFlags & 0x0C) continue;
+                if (formatFlags & 0x40) frame = frame.subarray(1);
+                if (formatFlags & 0x01) frame = frame.subarray(4);
+                if (formatFlags & 0x02) frame = this.removeUnsynchronisation(frame);
+            } else if (version === 3) {
+                if (formatFlags & 0xC0) continue;
+                if (formatFlags & 0x20) frame = frame.subarray(1);
+            }
+
+            this.readId3Frame(id, frame, version, tags);
+        }
+
+        return tagEnd;
+    }
+
+    readId3Frame(id, frame, version, tags) {
+        if (frame.length === 0) return;
+
+        const textFields = {
+            TIT2: 'title', TT2: 'title',
+            TPE1: 'artist', TP1: 'artist',
+            TALB: 'album', TAL: 'album',
+            TPE2: 'albumArtist', TP2: 'albumArtist',
+            TRCK: 'trackNumber', TRK: 'trackNumber',
+            TYER: 'year', TDRC: 'year', TYE: 'year',
+            TCON: 'genre', TCO: 'genre'
+        };
+
+        if (textFields[id]) {
+            const values = this.decodeText(frame.subarray(1), frame[0]).split('\0');
+            const value = textFields[id] === 'artist' ? values.filter(Boolean).join(' / ') : values[0];
+            this.applyField(tags, textFields[id], value);
+        } else if (id === 'TXXX' || id === 'TXX') {
+            const encoding = frame[0];
+            const end = this.findTerminator(frame, 1, encoding);
+            const step = encoding === 1 || encoding === 2 ? 2 : 1;
+            const name = this.decodeText(frame.subarray(1, end), encoding);
+            const value = this.decodeText(frame.subarray(end + step), encoding);
+            tags.custom[name.toUpperCase()] = value;
+        } else if (id === 'APIC' || id === 'PIC') {
+            this.readId3Picture(id, frame, tags);
+        } else if (id === 'USLT' || id === 'ULT') {
+            const encoding = frame[0];
+            const end = this.findTerminator(frame, 4, encoding);
+            const step = encoding === 1 || encoding === 2 ? 2 : 1;
+            this.applyField(tags, 'lyrics', this.decodeText(frame.subarray(end + step), encoding));
+        } else if (id === 'SYLT' || id === 'SLT') {
+            this.readId3SyncedLyrics(frame, tags);
+        }
+    }
+
+    // Only millisecond timestamps (format 2) can be used without knowing the MPEG frame rate
+    readId3SyncedLyrics(frame, tags) {
+        const encoding = frame[0];
+        if (frame[4] !== 2) return;
+
+        const step = encoding === 1 || encoding === 2 ? 2 : 1;
+        let offset = this.findTerminator(frame, 6, encoding) + step;
+        const entries = [];
+        while (offset < frame.length) {
+            const end = this.findTerminator(frame, offset, encoding);
+            if (end + step + 4 > frame.length) break;
+            const text = this.decodeText(frame.subarray(offset, end), encoding);
+            const time = new DataView(frame.buffer, frame.byteOffset).getUint32(end + step);
+            entries.push({ text, time: time / 1000 });
+            offset = end + step + 4;
+        }
+        if (entries.length === 0) return;
+
+        const splitsLines = entries.some(entry => /^[\r\n]/.test(entry.text));
+        const lines = [];
+        entries.forEach(entry => {
+            const text = entry.text.replace(/^[\r\n]+/, '');
+            if (!splitsLines || lines.length === 0 || entry.text !== text) {
+                lines.push({ time: entry.time, text });
+            } else {
+                lines[lines.length - 1].text += text;
+            }
+        });
+
+        // Synced lyrics win over a plain USLT frame read earlier
+        tags.lyrics = lines.map(line => `[${formatLrcTime(line.time)}]${line.text.trim()}`).join('\n');
+    }
+
+    readId3Picture(id, frame, tags) {
+        const encoding = frame[0];
+        let offset = 1;
+        let mime;
+
+        if (id === 'PIC') {
+            const format = String.fromCharCode(...frame.subarray(1, 4)).toLowerCase();
+            mime = format === 'png' ? 'image/png' : 'image/jpeg';
+            offset = 4;
+        } else {
+            const end = this.findTerminator(frame, 1, 0);
+            mime = this.decodeText(frame.subarray(1, end), 0) || 'image/jpeg';
+            if (!mime.includes('/')) mime = `image/${mime.toLowerCase()}`;
+            offset = end + 1;
+        }
+
+        const pictureType = frame[offset];
+        const descriptionEnd = this.findTerminator(frame, offset + 1, encoding);
+        const step = encoding === 1 || encoding === 2 ? 2 : 1;
+        const data = frame.slice(descriptionEnd + step);
+
+        this.setPicture(tags, { data, mime, type: pictureType });
+    }
+
+    setPicture(tags, picture) {
+        if (!picture.data || picture.data.length === 0) return;
+        if (!tags.picture || (picture.type === 3 && tags.picture.type !== 3)) {
+            tags.picture = picture;
+        }
+    }
+
+    async readId3v1(file, tags) {
+        const data = await this.readBytes(file, file.size - 128, 128);
+        if (String.fromCharCode(...data.subarray(0, 3)) !== 'TAG') return;
+
+        const field = (start, length) => this.decodeText(data.subarray(start, start + length), 0).split('\0')[0].trim();
+        this.applyField(tags, 'title', field(3, 30));
+        this.applyField(tags, 'artist', field(33, 30));
+        this.applyField(tags, 'album', field(63, 30));
+        this.applyField(tags, 'year', field(93, 4));
+
+        if (data[125] === 0 && data[126] !== 0) {
+            this.applyField(tags, 'trackNumber', data[126]);
+        }
+        if (ID3V1_GENRES[data[127]]) {
+            this.applyField(tags, 'genre', ID3V1_GENRES[data[127]]);
+        }
+    }
+
+    async readFlac(file, start, tags) {
+        let offset = start + 4;
+        let isLast = false;
+
+        while (!isLast && offset + 4 <= file.size) {
+            const header = await this.readBytes(file, offset, 4);
+            isLast = (header[0] & 0x80) !== 0;
+            const type = header[0] & 0x7F;
+            const length = (header[1] << 16) | (header[2] << 8) | header[3];
+
+            if (type === 4) {
+                this.readVorbisComments(await this.readBytes(file, offset + 4, length), tags);
+            } else if (type === 6) {
+                this.setPicture(tags, this.parseFlacPicture(await this.readBytes(file, offset + 4, length)));
+            }
+
+            offset += 4 + length;
+        }
+    }
+
+    parseFlacPicture(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const type = view.getUint32(0);
+        const mimeLength = view.getUint32(4);
+        const mime = this.decodeText(bytes.subarray(8, 8 + mimeLength), 0);
+        let offset = 8 + mimeLength;
+        offset += 4 + view.getUint32(offset);
+        offset += 16;
+        const dataLength = view.getUint32(offset);
+
+        return { type, mime, data: bytes.slice(offset + 4, offset + 4 + dataLength) };
+    }
+
+    readVorbisComments(bytes, tags) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 4 + view.getUint32(0, true);
+        const count = view.getUint32(offset, true);
+        offset += 4;
+
+        const fields = {
+            TITLE: 'title',
+            ARTIST: 'artist',
+            ALBUM: 'album',
+            ALBUMARTIST: 'albumArtist',
+            'ALBUM ARTIST': 'albumArtist',
+            TRACKNUMBER: 'trackNumber',
+            DATE: 'year',
+            YEAR: 'year',
+            GENRE: 'genre',
+            LYRICS: 'lyrics',
+            UNSYNCEDLYRICS: 'lyrics'
+        };
+        let legacyCover = null;
+        let legacyCoverMime = 'image/jpeg';
+
+        for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+            const length = view.getUint32(offset, true);
+            const comment = this.decodeText(bytes.subarray(offset + 4, offset + 4 + length), 3);
+            offset += 4 + length;
+
+            const separator = comment.indexOf('=');
+            if (separator === -1) continue;
+            const key = comment.slice(0, separator).toUpperCase();
+            const value = comment.slice(separator + 1);
+
+            if (fields[key]) {
+                this.applyField(tags, fields[key], value);
+            } else if (key === 'METADATA_BLOCK_PICTURE') {
+                this.setPicture(tags, this.parseFlacPicture(this.decodeBase64(value)));
+            } else if (key === 'COVERART') {
+                legacyCover = value;
+            } else if (key === 'COVERARTMIME') {
+                legacyCoverMime = value;
+            } else {
+                tags.custom[key] = value;
+            }
+        }
+
+        if (legacyCover) {
+            this.setPicture(tags, { type: 3, mime: legacyCoverMime, data: this.decodeBase64(legacyCover) });
+        }
+    }
+
+    decodeBase64(value) {
+        const binary = atob(value.replace(/\s+/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    async readOgg(file, tags) {
+        // The comment header is the second logical packet and may span several pages
+        const packets = [];
+        let current = [];
+        let offset = 0;
+        const limit = Math.min(file.size, 16 * 1024 * 1024);
+
+        while (packets.length < 2 && offset + 27 <= limit) {
+            const header = await this.readBytes(file, offset, 27);
+            if (String.fromCharCode(...header.subarray(0, 4)) !== 'OggS') break;
+
+            const segmentCount = header[26];
+            const lacing = await this.readBytes(file, offset + 27, segmentCount);
+            const bodyLength = lacing.reduce((sum, value) => sum + value, 0);
+            const body = await this.readBytes(file, offset + 27 + segmentCount, bodyLength);
+
+            let position = 0;
+            let segmentStart = 0;
+            for (const value of lacing) {
+                position += value;
+                if (value < 255) {
+                    current.push(body.subarray(segmentStart, position));
+                    packets.push(this.concatBytes(current));
+                    current = [];
+                    segmentStart = position;
+                }
+            }
+            if (segmentStart < position) current.push(body.subarray(segmentStart, position));
+
+            offset += 27 + segmentCount + bodyLength;
+        }
+
+        const commentPacket = packets[1];
+        if (!commentPacket) return;
+
+        const signature = String.fromCharCode(...commentPacket.subarray(0, 8));
+        if (signature.startsWith('\x03vorbis')) {
+            this.readVorbisComments(commentPacket.subarray(7), tags);
+        } else if (signature === 'OpusTags') {
+            this.readVorbisComments(commentPacket.subarray(8), tags);
+        }
+    }
+
+    concatBytes(chunks) {
+        const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return out;
+    }
+
+    async readMp4(file, tags) {
+        let offset = 0;
+
+        while (offset + 8 <= file.size) {
+            const header = await this.readBytes(file, offset, 16);
+            const view = new DataView(header.buffer);
+            const type = String.fromCharCode(...header.subarray(4, 8));
+            let size = view.getUint32(0);
+            if (size === 1) size = Number(view.getBigUint64(8));
+            if (size === 0) size = file.size - offset;
+            if (size < 8) return;
+
+            if (type === 'moov') {
+                const moov = await this.readBytes(file, offset, size);
+                const ilst = this.findMp4Atom(moov, ['moov', 'udta', 'meta', 'ilst']);
+                if (ilst) this.readIlst(ilst, tags);
+                return;
+            }
+
+            offset += size;
+        }
+    }
+
+    findMp4Atom(bytes, path) {
+        let data = bytes;
+
+        for (const name of path) {
+            const atom = this.listMp4Atoms(data).find(child => child.type === name);
+            if (!atom) return null;
+            // "meta" is a full box with four bytes of version and flags before its children
+            data = name === 'meta' ? atom.data.subarray(4) : atom.data;
+        }
+
+        return data;
+    }
+
+    listMp4Atoms(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const atoms = [];
+        let offset = 0;
+
+        while (offset + 8 <= bytes.length) {
+            const size = view.getUint32(offset);
+            if (size < 8 || offset + size > bytes.length) break;
+            const type = this.decodeText(bytes.subarray(offset + 4, offset + 8), 0);
+            atoms.push({ type, data: bytes.subarray(offset + 8, offset + size) });
+            offset += size;
+        }
+
+        return atoms;
+    }
+
+    readIlst(ilst, tags) {
+        const fields = {
+            '©nam': 'title',
+            '©ART': 'artist',
+            '©alb': 'album',
+            aART: 'albumArtist',
+            '©day': 'year',
+            '©gen': 'genre',
+            '©lyr': 'lyrics'
+        };
+
+        this.listMp4Atoms(ilst).forEach(item => {
+            const children = this.listMp4Atoms(item.data);
+            const dataAtom = children.find(child => child.type === 'data');
+            if (!dataAtom || dataAtom.data.length < 8) return;
+
+            const dataType = (dataAtom.data[1] << 16) | (dataAtom.data[2] << 8) | dataAtom.data[3];
+            const value = dataAtom.data.subarray(8);
+
+            if (fields[item.type]) {
+                this.applyField(tags, fields[item.type], this.decodeText(value, 3));
+            } else if (item.type === 'trkn' && value.length >= 4) {
+                this.applyField(tags, 'trackNumber', (value[2] << 8) | value[3]);
+            } else if (item.type === 'gnre' && value.length >= 2) {
+                this.applyField(tags, 'genre', ID3V1_GENRES[((value[0] << 8) | value[1]) - 1]);
+            } else if (item.type === 'covr') {
+                const mime = dataType === 14 ? 'image/png' : 'image/jpeg';
+                this.setPicture(tags, { type: 3, mime, data: value.slice() });
+            } else if (item.type === '----') {
+                const nameAtom = children.find(child => child.type === 'name');
+                if (nameAtom) {
+                    const name = this.decodeText(nameAtom.data.subarray(4), 3).toUpperCase();
+                    tags.custom[name] = this.decodeText(value, 3);
+                }
+            }
+        });
+    }
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let value = i;
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+        }
+        table[i] = value;
+    }
+    return table;
+})();
+
+// Pass the previous result to continue a checksum over the next chunk
+function crc32(bytes, previous = 0) {
+    let crc = previous ^ 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const ZIP32_LIMIT = 0xFFFFFFFF;
+
+function setUint64(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+function getUint64(view, offset) {
+    return view.getUint32(offset + 4, true) * 0x100000000 + view.getUint32(offset, true);
+}
+
+// Entries are stored as-is and the archive is a Blob of parts, so song data stays on disk.
+// Sizes and offsets past 4 GB, or more than 65,535 entries, switch to ZIP64 records.
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    async add(name, data) {
+        const blob = data instanceof Blob ? data : new Blob([data]);
+        const nameBytes = this.encoder.encode(name);
+
+        let crc = 0;
+        const reader = blob.stream().getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            crc = crc32(value, crc);
+        }
+
+        const zip64 = blob.size >= ZIP32_LIMIT;
+        const extra = new DataView(new ArrayBuffer(zip64 ? 20 : 0));
+        if (zip64) {
+            extra.setUint16(0, 0x0001, true);
+            extra.setUint16(2, 16, true);
+            setUint64(extra, 4, blob.size);
+            setUint64(extra, 12, blob.size);
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, zip64 ? 45 : 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(10, this.dosTime, true);
+        header.setUint16(12, this.dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, zip64 ? ZIP32_LIMIT : blob.size, true);
+        header.setUint32(22, zip64 ? ZIP32_LIMIT : blob.size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, extra.byteLength, true);
+
+        this.parts.push(header, nameBytes, extra, blob);
+        this.entries.push({ nameBytes, crc, size: blob.size, offset: this.offset });
+        this.offset += 30 + nameBytes.length + extra.byteLength + blob.size;
+    }
+
+    finish() {
+        const directoryStart = this.offset;
+        let directorySize = 0;
+
+        this.entries.forEach(entry => {
+            const largeSize = entry.size >= ZIP32_LIMIT;
+            const largeOffset = entry.offset >= ZIP32_LIMIT;
+            const extraLength = (largeSize ? 16 : 0) + (largeOffset ? 8 : 0);
+            const extra = new DataView(new ArrayBuffer(extraLength ? 4 + extraLength : 0));
+            if (extraLength) {
+                extra.setUint16(0, 0x0001, true);
+                extra.setUint16(2, extraLength, true);
+                if (largeSize) {
+                    setUint64(extra, 4, entry.size);
+                    setUint64(extra, 12, entry.size);
+                }
+                if (largeOffset) setUint64(extra, largeSize ? 20 : 4, entry.offset);
+            }
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, extraLength ? 45 : 20, true);
+            header.setUint16(6, extraLength ? 45 : 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(12, this.dosTime, true);
+            header.setUint16(14, this.dosDate, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, largeSize ? ZIP32_LIMIT : entry.size, true);
+            header.setUint32(24, largeSize ? ZIP32_LIMIT : entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint16(30, extra.byteLength, true);
+            header.setUint32(42, largeOffset ? ZIP32_LIMIT : entry.offset, true);
+            this.parts.push(header, entry.nameBytes, extra);
+            directorySize += 46 + entry.nameBytes.length + extra.byteLength;
+        });
+
+        const count = this.entries.length;
+        const zip64 = count >= 0xFFFF || directoryStart >= ZIP32_LIMIT || directorySize >= ZIP32_LIMIT;
+        if (zip64) {
+            const record = new DataView(new ArrayBuffer(56));
+            record.setUint32(0, 0x06064b50, true);
+            setUint64(record, 4, 44);
+            record.setUint16(12, 45, true);
+            record.setUint16(14, 45, true);
+            setUint64(record, 24, count);
+            setUint64(record, 32, count);
+            setUint64(record, 40, directorySize);
+            setUint64(record, 48, directoryStart);
+
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064b50, true);
+            setUint64(locator, 8, directoryStart + directorySize);
+            locator.setUint32(16, 1, true);
+            this.parts.push(record, locator);
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Math.min(count, 0xFFFF), true);
+        end.setUint16(10, Math.min(count, 0xFFFF), true);
+        end.setUint32(12, Math.min(directorySize, ZIP32_LIMIT), true);
+        end.setUint32(16, Math.min(directoryStart, ZIP32_LIMIT), true);
+        this.parts.push(end);
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+class ZipReader {
+    constructor(blob) {
+        this.blob = blob;
+        this.entries = new Map();
+    }
+
+    async open() {
+        const tailSize = Math.min(this.blob.size, 22 + 0xFFFF);
+        const tailStart = this.blob.size - tailSize;
+        const tail = new DataView(await this.blob.slice(tailStart).arrayBuffer());
+
+        let end = -1;
+        for (let i = tailSize - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new Error('Not a zip archive');
+
+        let count = tail.getUint16(end + 10, true);
+        let directorySize = tail.getUint32(end + 12, true);
+        let directoryStart = tail.getUint32(end + 16, true);
+        if (end >= 20 && tail.getUint32(end - 20, true) === 0x07064b50) {
+            const recordStart = getUint64(tail, end - 12);
+            const record = new DataView(await this.blob.slice(recordStart, recordStart + 56).arrayBuffer());
+            if (record.getUint32(0, true) !== 0x06064b50) throw new Error('Corrupt zip64 record');
+            count = getUint64(record, 32);
+            directorySize = getUint64(record, 40);
+            directoryStart = getUint64(record, 48);
+        }
+        const directory = new DataView(
+            await this.blob.slice(directoryStart, directoryStart + directorySize).arrayBuffer()
+        );
+        const decoder = new TextDecoder();
+
+        let pos = 0;
+        for (let i = 0; i < count; i++) {
+            if (directory.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt zip directory');
+            const nameLength = directory.getUint16(pos + 28, true);
+            const extraLength = directory.getUint16(pos + 30, true);
+            const commentLength = directory.getUint16(pos + 32, true);
+            const name = decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength));
+            const entry = {
+                method: directory.getUint16(pos + 10, true),
+                size: directory.getUint32(pos + 20, true),
+                offset: directory.getUint32(pos + 42, true)
+            };
+
+            // ZIP64 values appear in the extra field in this order, only for the fields that overflowed
+            for (let extra = pos + 46 + nameLength; extra + 4 <= pos + 46 + nameLength + extraLength;) {
+                const id = directory.getUint16(extra, true);
+                const length = directory.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    if (entry.size === ZIP32_LIMIT) {
+                        entry.size = getUint64(directory, field);
+                        field += 16;
+                    }
+                    if (entry.offset === ZIP32_LIMIT) entry.offset = getUint64(directory, field);
+                }
+                extra += 4 + length;
+            }
+
+            this.entries.set(name, entry);
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    async getBlob(name, type = '') {
+        const entry = this.entries.get(name);
+        if (!entry) throw new Error(`Missing archive entry: ${name}`);
+        if (entry.method !== 0) throw new Error(`Compressed archive entries are not supported: ${name}`);
+
+        const header = new DataView(await this.blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        return this.blob.slice(dataStart, dataStart + entry.size, type);
+    }
+
+    async getText(name) {
+        return (await this.getBlob(name)).text();
+    }
+}
+
+const SEARCH_TEXT_FIELDS = ['title', 'artist', 'album', 'genre'];
+
+const SEARCH_NUMBER_FIELDS = {
+    year: track => track.year,
+    duration: track => (track.duration ? track.duration / 60 : null),
+    plays: track => track.playCount || 0
+};
+
+const TEXT_COLLATOR = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+const LIBRARY_SORTS = {
+    title: { index: 'sortTitle', direction: 'next', fields: ['title'] },
+    artist: { index: 'sortArtist', direction: 'next', fields: ['artist', 'album', 'trackNumber'] },
+    dateAdded: { index: 'dateAdded', direction: 'prev', fields: ['dateAdded'] },
+    duration: { index: 'duration', direction: 'prev', fields: ['duration'] },
+    playCount: { index: 'playCount', direction: 'prev', fields: ['playCount'] }
+};
+
+// IndexedDB compares strings by code unit, so numbers are padded to sort by value
+function toSortKey(text) {
+    return normalizeSearchText(text).trim().replace(/\d+/g, digits => digits.padStart(10, '0'));
+}
+
+function songSortKeys(song) {
+    return {
+        sortTitle: toSortKey(song.title),
+        sortArtist: [song.artist, song.album, song.trackNumber || 0].map(toSortKey).join('\u0000')
+    };
+}
+
+function normalizeSearchText(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenizeSearchText(text) {
+    return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function isWithinEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return false;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return false;
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length] <= max;
+}
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map();
+        this.words = new Map();
+        this.lookups = new Map();
+        this.lastSearch = null;
+        this.dirty = true;
+    }
+
+    invalidate() {
+        this.dirty = true;
+        this.lastSearch = null;
+    }
+
+    // For changes that leave the words alone but can change numeric matches or the order
+    clearResults() {
+        this.lastSearch = null;
+    }
+
+    build(tracks) {
+        this.postings = new Map(SEARCH_TEXT_FIELDS.map(field => [field, new Map()]));
+        tracks.forEach(track => {
+            SEARCH_TEXT_FIELDS.forEach(field => {
+                const postings = this.postings.get(field);
+                tokenizeSearchText(track[field]).forEach(word => {
+                    if (!postings.has(word)) postings.set(word, new Set());
+                    postings.get(word).add(track);
+                });
+            });
+        });
+
+        this.words = new Map();
+        this.postings.forEach((postings, field) => {
+            const sorted = [...postings.keys()].sort();
+            const byLength = new Map();
+            sorted.forEach(word => {
+                if (!byLength.has(word.length)) byLength.set(word.length, []);
+                byLength.get(word.length).push(word);
+            });
+            this.words.set(field, { sorted, byLength });
+        });
+        this.lookups = new Map();
+        this.lastSearch = null;
+        this.dirty = false;
+    }
+
+    // Prefix matches come from a binary search; typo matches only compare words of a close length
+    lookup(field, token) {
+        const key = `${field}:${token}`;
+        if (this.lookups.has(key)) return this.lookups.get(key);
+
+        const postings = this.postings.get(field);
+        const { sorted, byLength } = this.words.get(field);
+        const tracks = new Set();
+        const addWord = word => postings.get(word).forEach(track => tracks.add(track));
+
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sorted[middle] < token) low = middle + 1;
+            else high = middle;
+        }
+        for (let i = low; i < sorted.length && sorted[i].startsWith(token); i++) addWord(sorted[i]);
+
+        const maxDistance = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+        if (maxDistance > 0) {
+            for (let length = token.length - maxDistance; length <= token.length + maxDistance; length++) {
+                (byLength.get(length) || []).forEach(word => {
+                    if (!word.startsWith(token) && isWithinEditDistance(word, token, maxDistance)) addWord(word);
+                });
+            }
+        }
+
+        this.lookups.set(key, tracks);
+        return tracks;
+    }
+
+    parse(query) {
+        const terms = [];
+        const pattern = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+        while ((match = pattern.exec(query)) !== null) {
+            let field = match[2] ? match[2].toLowerCase() : null;
+            let value = match[3] !== undefined ? match[3] : match[4];
+            if (field && !SEARCH_TEXT_FIELDS.includes(field) && !SEARCH_NUMBER_FIELDS[field]) {
+                value = `${match[2]}:${value}`;
+                field = null;
+            }
+            if (value) terms.push({ negate: !!match[1], field, value });
+        }
+        return terms;
+    }
+
+    parseNumber(field, text) {
+        if (field === 'duration' && text.includes(':')) {
+            const [minutes, seconds] = text.split(':');
+            return parseFloat(minutes) + (parseFloat(seconds) || 0) / 60;
+        }
+        return parseFloat(text);
+    }
+
+    buildNumberTest(field, value) {
+        const range = value.split('..');
+        if (range.length === 2) {
+            const low = range[0] ? this.parseNumber(field, range[0]) : -Infinity;
+            const high = range[1] ? this.parseNumber(field, range[1]) : Infinity;
+            return number => number >= low && number <= high;
+        }
+
+        const [, operator = '=', operand] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+        const target = this.parseNumber(field, operand);
+        if (Number.isNaN(target)) return () => false;
+        return {
+            '>': number => number > target,
+            '>=': number => number >= target,
+            '<': number => number < target,
+            '<=': number => number <= target,
+            '=': number => (field === 'duration' ? Math.abs(number - target) < 0.5 : number === target)
+        }[operator];
+    }
+
+    buildTest(term) {
+        if (term.field && SEARCH_NUMBER_FIELDS[term.field]) {
+            const read = SEARCH_NUMBER_FIELDS[term.field];
+            const test = this.buildNumberTest(term.field, term.value);
+            return track => {
+                const number = read(track);
+                return number !== null && number !== undefined && test(number);
+            };
+        }
+
+        const fields = term.field ? [term.field] : SEARCH_TEXT_FIELDS;
+        const tokenSets = tokenizeSearchText(term.value).map(token => {
+            const tracks = new Set();
+            fields.forEach(field => this.lookup(field, token).forEach(track => tracks.add(track)));
+            return tracks;
+        });
+        return track => tokenSets.every(tracks => tracks.has(track));
+    }
+
+    search(query, library, tracks) {
+        if (this.dirty) this.build(library);
+
+        const last = this.lastSearch;
+        if (last && last.query === query && last.tracks === tracks && last.length === tracks.length) {
+            return last.results;
+        }
+
+        const tests = this.parse(query).map(term => {
+            const test = this.buildTest(term);
+            return term.negate ? track => !test(track) : test;
+        });
+        const results = tracks.filter(track => tests.every(test => test(track)));
+        this.lastSearch = { query, tracks, length: tracks.length, results };
+        return results;
+    }
+}
+
+class ObjectUrlPool {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    get(key, blob) {
+        const entry = this.entries.get(key);
+        if (entry && entry.blob === blob) return entry.url;
+        if (entry) URL.revokeObjectURL(entry.url);
+
+        const url = URL.createObjectURL(blob);
+        this.entries.set(key, { blob, url });
+        return url;
+    }
+
+    releaseUnused(urlsInUse) {
+        this.entries.forEach((entry, key) => {
+            if (urlsInUse.has(entry.url)) return;
+            URL.revokeObjectURL(entry.url);
+            this.entries.delete(key);
+        });
+    }
+}
+
+const PLAYLIST_ROW_HEIGHT = 56;
+const PLAYLIST_OVERSCAN = 6;
+
+const SONG_EDITOR_FIELDS = [
+    { key: 'title', label: 'Title', type: 'text' },
+    { key: 'artist', label: 'Artist', type: 'text' },
+    { key: 'album', label: 'Album', type: 'text' },
+    { key: 'trackNumber', label: 'Track number', type: 'number' },
+    { key: 'year', label: 'Year', type: 'number' },
+    { key: 'genre', label: 'Genre', type: 'text' }
+];
+
+const BACKUP_FORMAT = 'ayush-music-player-backup';
+
+const MIME_EXTENSIONS = {
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/x-flac': 'flac',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'image/jpeg': 'jpg'
+};
+
+function fileExtensionFor(type) {
+    return MIME_EXTENSIONS[type] || (type && type.split('/')[1]) || 'bin';
+}
+
+class PlaylistCodec {
+    getLocation(track) {
+        if (track.fileName) return track.fileName;
+        const extension = track.audioBlob ? fileExtensionFor(track.audioBlob.type) : 'mp3';
+        return `${track.artist} - ${track.title}.${extension}`.replace(/[\\/:*?"<>|]/g, '_');
+    }
+
+    getDuration(track) {
+        return track.duration ? Math.round(track.duration) : -1;
+    }
+
+    toM3U8(name, tracks) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+        tracks.forEach(track => {
+            lines.push(`#EXTINF:${this.getDuration(track)},${track.artist} - ${track.title}`);
+            lines.push(this.getLocation(track));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    toPLS(tracks) {
+        const lines = ['[playlist]'];
+        tracks.forEach((track, index) => {
+            const number = index + 1;
+            lines.push(`File${number}=${this.getLocation(track)}`);
+            lines.push(`Title${number}=${track.artist} - ${track.title}`);
+            lines.push(`Length${number}=${this.getDuration(track)}`);
+        });
+        lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+        return lines.join('\n') + '\n';
+    }
+
+    toXSPF(name, tracks) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const items = tracks.map(track => {
+            const fields = [
+                `<location>${escape(encodeURI(this.getLocation(track)))}</location>`,
+                `<title>${escape(track.title)}</title>`,
+                `<creator>${escape(track.artist)}</creator>`
+            ];
+            if (track.album) fields.push(`<album>${escape(track.album)}</album>`);
+            if (track.trackNumber) fields.push(`<trackNum>${track.trackNumber}</trackNum>`);
+            if (track.duration) fields.push(`<duration>${Math.round(track.duration * 1000)}</duration>`);
+            return `    <track>\n      ${fields.join('\n      ')}\n    </track>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `  <title>${escape(name)}</title>`,
+            '  <trackList>',
+            ...items,
+            '  </trackList>',
+            '</playlist>',
+            ''
+        ].join('\n');
+    }
+
+    parse(text, fileName) {
+        const baseName = fileName.replace(/\.[^/.]+$/, '');
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        text = text.replace(/^\uFEFF/, '');
+
+        if (extension === 'xspf' || /^\s*<\?xml|<playlist[\s>]/.test(text)) return this.parseXSPF(text, baseName);
+        if (extension === 'pls' || /^\s*\[playlist\]/i.test(text)) return this.parsePLS(text, baseName);
+        if (extension === 'm3u' || extension === 'm3u8' || /^\s*#EXTM3U/.test(text)) return this.parseM3U(text, baseName);
+        return null;
+    }
+
+    parseM3U(text, name) {
+        const entries = [];
+        let pending = {};
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('#PLAYLIST:')) {
+                name = line.slice(10).trim() || name;
+            } else if (line.startsWith('#EXTINF:')) {
+                const info = line.slice(8);
+                const comma = info.indexOf(',');
+                const duration = parseFloat(comma === -1 ? info : info.slice(0, comma));
+                pending = {
+                    ...this.splitDisplayTitle(comma === -1 ? '' : info.slice(comma + 1)),
+                    duration: duration > 0 ? duration : null
+                };
+            } else if (!line.startsWith('#')) {
+                entries.push({ ...pending, location: line });
+                pending = {};
+            }
+        });
+
+        return { name, entries };
+    }
+
+    parsePLS(text, name) {
+        const fields = new Map();
+        text.split(/\r?\n/).forEach(line => {
+            const match = line.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+            if (!match) return;
+            const number = parseInt(match[2]);
+            if (!fields.has(number)) fields.set(number, {});
+            fields.get(number)[match[1].toLowerCase()] = match[3].trim();
+        });
+
+        const entries = Array.from(fields.keys())
+            .sort((a, b) => a - b)
+            .map(number => fields.get(number))
+            .filter(entry => entry.file)
+            .map(entry => {
+                const duration = parseFloat(entry.length);
+                return {
+                    ...this.splitDisplayTitle(entry.title || ''),
+                    duration: duration > 0 ? duration : null,
+                    location: entry.file
+                };
+            });
+
+        return { name, entries };
+    }
+
+    parseXSPF(text, name) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) return null;
+
+        const childText = (parent, tag) => {
+            const element = Array.from(parent.children).find(child => child.localName === tag);
+            return element ? element.textContent.trim() : '';
+        };
+
+        const playlist = doc.documentElement;
+        const trackList = Array.from(playlist.children).find(child => child.localName === 'trackList');
+        const tracks = trackList ? Array.from(trackList.children).filter(child => child.localName === 'track') : [];
+
+        return {
+            name: childText(playlist, 'title') || name,
+            entries: tracks.map(track => {
+                const duration = parseInt(childText(track, 'duration'));
+                return {
+                    title: childText(track, 'title') || null,
+                    artist: childText(track, 'creator') || null,
+                    duration: duration > 0 ? duration / 1000 : null,
+                    location: childText(track, 'location') || null
+                };
+            })
+        };
+    }
+
+    splitDisplayTitle(displayTitle) {
+        const text = displayTitle.trim();
+        if (!text) return { title: null, artist: null };
+
+        const separator = text.indexOf(' - ');
+        if (separator === -1) return { title: text, artist: null };
+        return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+    }
+}
+
+const LRC_TIMESTAMP = /\[(\d+):(\d{1,2}(?:[.:]\d+)?)\]/g;
+
+function formatLrcTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(2).padStart(5, '0');
+    return `${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+function parseLyrics(text) {
+    if (!text || !text.trim()) return null;
+
+    let offset = 0;
+    const synced = [];
+    const plain = [];
+    text.split(/\r?\n/).forEach(rawLine => {
+        const offsetMatch = /^\[offset:\s*([+-]?\d+)\]/i.exec(rawLine.trim());
+        if (offsetMatch) {
+            offset = parseInt(offsetMatch[1], 10) / 1000;
+            return;
+        }
+        if (/^\[[a-z]+:.*\]$/i.test(rawLine.trim())) return;
+
+        const times = [];
+        const lineText = rawLine.replace(LRC_TIMESTAMP, (match, minutes, seconds) => {
+            times.push(parseInt(minutes, 10) * 60 + parseFloat(seconds.replace(':', '.')));
+            return '';
+        }).trim();
+
+        if (times.length > 0) {
+            times.forEach(time => synced.push({ time, text: lineText }));
+        } else {
+            plain.push({ time: null, text: rawLine.trim() });
+        }
+    });
+
+    if (synced.length === 0) return { synced: false, lines: plain };
+
+    synced.sort((a, b) => a.time - b.time);
+    synced.forEach(line => {
+        line.time = Math.max(0, line.time - offset);
+    });
+    return { synced: true, lines: synced };
+}
+
+const IMPORT_READ_CONCURRENCY = 3;
+const IMPORT_ANALYZE_CONCURRENCY = 2;
+
+const IMPORT_STATUS_ICONS = {
+    queued: 'fa-clock',
+    reading: 'fa-spinner fa-spin',
+    analyzing: 'fa-spinner fa-spin',
+    saving: 'fa-spinner fa-spin',
+    done: 'fa-check',
+    skipped: 'fa-minus-circle',
+    failed: 'fa-exclamation-circle',
+    cancelled: 'fa-ban'
+};
+
+const IMPORT_FINISHED_STATUSES = ['done', 'skipped', 'failed', 'cancelled'];
+
+async function runWithConcurrency(items, limit, task) {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 || value >= 100 ? 0 : 1)} ${units[unit]}`;
+}
+
+const PLAY_THRESHOLD_FRACTION = 0.5;
+const PLAY_THRESHOLD_SECONDS = 240;
+// Less than this is a mis-click rather than a skip
+const SKIP_MIN_SECONDS = 0.5;
+
+const AUTO_PLAYLISTS = [
+    { id: 'auto:most-played', name: 'Most played' },
+    { id: 'auto:never-played', name: 'Never played' },
+    { id: 'auto:recently-added', name: 'Recently added' }
+];
+const AUTO_PLAYLIST_SIZE = 50;
+
+const STATS_RANGES = {
+    day: { label: 'Day', days: 1 },
+    week: { label: 'Week', days: 7 },
+    month: { label: 'Month', days: 30 },
+    all: { label: 'All time', days: null }
+};
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function summarizeHistory(entries) {
+    const tracks = new Map();
+    const artists = new Map();
+    const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    let plays = 0;
+    let skips = 0;
+    let seconds = 0;
+
+    entries.forEach(entry => {
+        seconds += entry.listened || 0;
+        const playedAt = new Date(entry.playedAt);
+        heatmap[playedAt.getDay()][playedAt.getHours()] += entry.listened || 0;
+
+        if (entry.type !== 'play') {
+            skips++;
+            return;
+        }
+        plays++;
+
+        const track = tracks.get(entry.songId) || { songId: entry.songId, title: entry.title, artist: entry.artist, plays: 0 };
+        track.plays++;
+        tracks.set(entry.songId, track);
+
+        const artist = entry.artist || 'Unknown Artist';
+        artists.set(artist, (artists.get(artist) || 0) + 1);
+    });
+
+    return {
+        plays,
+        skips,
+        seconds,
+        heatmap,
+        topTracks: [...tracks.values()].sort((a, b) => b.plays - a.plays).slice(0, 10),
+        topArtists: [...artists]
+            .map(([name, count]) => ({ name, plays: count }))
+            .sort((a, b) => b.plays - a.plays)
+            .slice(0, 10)
+    };
+}
+
+function formatListeningTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 1) return seconds > 0 ? '<1m' : '0m';
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// Key combos are modifiers in a fixed order followed by the KeyboardEvent.code, e.g. "Shift+ArrowLeft"
+const KEYBOARD_ACTIONS = [
+    { id: 'playPause', group: 'Playback', label: 'Play / pause', key: 'Space', run: player => player.togglePlayPause() },
+    { id: 'previousTrack', group: 'Playback', label: 'Previous song', key: 'Ctrl+ArrowLeft', run: player => player.previousTrack() },
+    { id: 'nextTrack', group: 'Playback', label: 'Next song', key: 'Ctrl+ArrowRight', run: player => player.nextTrack() },
+    { id: 'seekBack', group: 'Playback', label: 'Back 5 s', key: 'ArrowLeft', repeat: true, run: player => player.seekBy(-5) },
+    { id: 'seekForward', group: 'Playback', label: 'Forward 5 s', key: 'ArrowRight', repeat: true, run: player => player.seekBy(5) },
+    { id: 'seekBackLong', group: 'Playback', label: 'Back 30 s', key: 'Shift+ArrowLeft', repeat: true, run: player => player.seekBy(-30) },
+    { id: 'seekForwardLong', group: 'Playback', label: 'Forward 30 s', key: 'Shift+ArrowRight', repeat: true, run: player => player.seekBy(30) },
+    { id: 'volumeUp', group: 'Playback', label: 'Volume up', key: 'Ctrl+ArrowUp', repeat: true, run: player => player.changeVolume(10) },
+    { id: 'volumeDown', group: 'Playback', label: 'Volume down', key: 'Ctrl+ArrowDown', repeat: true, run: player => player.changeVolume(-10) },
+    { id: 'mute', group: 'Playback', label: 'Mute / unmute', key: 'KeyM', run: player => player.toggleMute() },
+    { id: 'shuffle', group: 'Playback', label: 'Shuffle', key: 'KeyS', run: player => player.toggleShuffle() },
+    { id: 'repeat', group: 'Playback', label: 'Repeat mode', key: 'KeyR', run: player => player.cycleRepeatMode() },
+    { id: 'speedUp', group: 'Practice', label: 'Faster', key: 'Shift+Period', repeat: true, run: player => player.changePlaybackRate(0.05) },
+    { id: 'speedDown', group: 'Practice', label: 'Slower', key: 'Shift+Comma', repeat: true, run: player => player.changePlaybackRate(-0.05) },
+    { id: 'loop', group: 'Practice', label: 'Set A–B loop point', key: 'KeyB', run: player => player.cycleLoop() },
+    { id: 'lyrics', group: 'Practice', label: 'Show / hide lyrics', key: 'KeyL', run: player => player.toggleLyricsPanel() },
+    { id: 'focusSearch', group: 'Library', label: 'Search', key: 'Slash', run: player => player.focusSearch() },
+    { id: 'nextResult', group: 'Library', label: 'Play next search result', key: 'KeyN', run: player => player.playSearchResult(1) },
+    { id: 'previousResult', group: 'Library', label: 'Play previous search result', key: 'Shift+KeyN', run: player => player.playSearchResult(-1) },
+    { id: 'deleteCurrent', group: 'Library', label: 'Delete current song', key: 'Delete', run: player => player.deleteCurrentTrack() },
+    { id: 'clearSelection', group: 'Library', label: 'Clear selection', key: 'Escape', run: player => player.selectedIds.size > 0 && player.clearSelection() },
+    { id: 'showShortcuts', group: 'Library', label: 'Show keyboard shortcuts', key: 'Shift+Slash', run: player => player.openShortcutsDialog() }
+];
+
+const RESERVED_KEY_COMBOS = ['Tab', 'Shift+Tab', 'Ctrl+KeyW', 'Ctrl+KeyT', 'Ctrl+KeyN', 'Ctrl+Tab', 'Ctrl+Shift+Tab', 'Meta+KeyW', 'Meta+KeyT', 'Meta+KeyN', 'Meta+KeyQ'];
+
+const MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    PageUp: 'PgUp',
+    PageDown: 'PgDn',
+    Slash: '/',
+    Backslash: '\\',
+    Period: '.',
+    Comma: ',',
+    Semicolon: ';',
+    Quote: "'",
+    Backquote: '`',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Minus: '-',
+    Equal: '='
+};
+
+function keyComboFromEvent(e) {
+    if (!e.code || MODIFIER_CODES.includes(e.code)) return null;
+    const parts = [];
+    if (e.ctrlKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.metaKey) parts.push('Meta');
+    parts.push(e.code);
+    return parts.join('+');
+}
+
+// Combos are stored as US-layout key positions; these characters sit elsewhere on other layouts
+const CHARACTER_COMBOS = {
+    '/': 'Slash',
+    '?': 'Shift+Slash',
+    '.': 'Period',
+    '>': 'Shift+Period',
+    ',': 'Comma',
+    '<': 'Shift+Comma'
+};
+
+function characterComboFromEvent(e) {
+    if (e.ctrlKey || e.altKey || e.metaKey) return null;
+    return CHARACTER_COMBOS[e.key] || null;
+}
+
+function formatKeyCombo(combo) {
+    if (combo === 'Shift+Slash') return '?';
+    return combo.split('+')
+        .map(part => KEY_NAMES[part] || part.replace(/^(Key|Digit)/, ''))
+        .join('+');
+}
+
+const TRANSITION_LEAD_SECONDS = 1;
+const TRANSITION_PREROLL_SECONDS = 0.15;
+
+class EnhancedMusicPlayer {
+    constructor() {
+        this.audio = document.getElementById('audioPlayer');
+        this.nextDeck = document.getElementById('audioPlayerNext');
+        this.decks = [this.audio, this.nextDeck];
+        this.playPauseBtn = document.getElementById('playPauseBtn');
+        this.prevBtn = document.getElementById('prevBtn');
+        this.nextBtn = document.getElementById('nextBtn');
+        this.shuffleBtn = document.getElementById('shuffleBtn');
+        this.repeatBtn = document.getElementById('repeatBtn');
+        this.progressBar = document.querySelector('.progress-bar');
+        this.progress = document.getElementById('progress');
+        this.progressHandle = document.getElementById('progressHandle');
+        this.waveformCanvas = document.getElementById('waveform');
+        this.progressTooltip = document.getElementById('progressTooltip');
+        this.currentTimeEl = document.getElementById('currentTime');
+        this.durationEl = document.getElementById('duration');
+        this.volumeSlider = document.getElementById('volumeSlider');
+        this.trackTitle = document.getElementById('trackTitle');
+        this.trackArtist = document.getElementById('trackArtist');
+        this.albumArt = document.getElementById('albumArt');
+        this.audioUpload = document.getElementById('audioUpload');
+        this.playlistContainer = document.querySelector('.playlist-container');
+        this.playlistWindow = document.getElementById('playlistWindow');
+        this.objectUrls = new ObjectUrlPool();
+        this.viewIndexes = [];
+        this.renderFrame = null;
+        this.browseView = document.getElementById('browseView');
+        this.browseTab = 'songs';
+        this.browsePath = [];
+        this.browseGroups = [];
+        this.browseTracks = [];
+        this.browseRenderId = 0;
+        this.browseUrls = new ObjectUrlPool();
+        this.browseGroupCache = new Map();
+        this.importJob = null;
+        this.updateAccepted = false;
+        this.listen = null;
+        this.lyrics = null;
+        this.activeLyricIndex = -1;
+        this.lyricsFrame = null;
+        
+        this.storage = new MusicStorage();
+        this.metadataReader = new MetadataReader();
+        this.audioAnalyzer = new AudioAnalyzer();
+        this.playlistCodec = new PlaylistCodec();
+        this.searchIndex = new SearchIndex();
+        this.searchQuery = '';
+        this.searchResults = null;
+        this.sortBy = localStorage.getItem('sortBy') || 'default';
+        this.sortRanks = new Map();
+        this.sortRequest = 0;
+        this.library = [];
+        this.playlists = [];
+        this.activePlaylistId = this.parsePlaylistId(localStorage.getItem('activePlaylist'));
+        this.recentlyAddedIds = [];
+        this.playlist = [];
+        this.queue = [];
+        this.queueTrack = null;
+        this.currentTrackIndex = 0;
+        this.selectedIds = new Set();
+        this.lastSelectedIndex = null;
+        this.isPlaying = false;
+        this.isDragging = false;
+        this.lastProgressUpdate = 0;
+        this.lastStateSave = 0;
+        this.loadedTrack = null;
+        this.bookmarkMinutes = parseInt(localStorage.getItem('bookmarkMinutes') ?? '20');
+        this.shuffle = localStorage.getItem('shuffle') === 'true';
+        this.repeatMode = localStorage.getItem('repeatMode') || 'all';
+        this.shuffleOrder = JSON.parse(localStorage.getItem('shuffleOrder') || '[]');
+        this.shufflePosition = parseInt(localStorage.getItem('shufflePosition')) || 0;
+        this.gapless = localStorage.getItem('gapless') !== 'false';
+        this.crossfade = parseFloat(localStorage.getItem('crossfade')) || 0;
+        this.preservePitch = localStorage.getItem('preservePitch') !== 'false';
+        this.pitchSemitones = 0;
+        this.pitchShifter = null;
+        this.pitchShifterReady = null;
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.loopTimer = null;
+        this.sleepTimer = null;
+        const savedFade = parseInt(localStorage.getItem('sleepFade'));
+        this.sleepFadeSeconds = Number.isFinite(savedFade) ? savedFade : 30;
+        this.alarm = JSON.parse(localStorage.getItem('alarm') || 'null');
+        this.alarmInterval = null;
+        this.volumeBeforeMute = null;
+        this.keyBindings = this.loadKeyBindings();
+        this.keymap = this.buildKeymap();
+        this.audioContext = null;
+        this.deckGains = new Map();
+        this.deckDelays = new Map();
+        this.pendingStart = null;
+        this.preloadedTrack = null;
+        this.fadingDeck = null;
+        this.fadeTimer = null;
+        this.transition = null;
+        this.transitioning = null;
+        this.equalizer = null;
+        this.eqSettings = JSON.parse(localStorage.getItem('equalizer') || 'null') || {
+            enabled: true,
+            preset: 'Flat',
+            preamp: 0,
+            gains: EQ_PRESETS['Flat'].slice()
+        };
+        this.eqUserPresets = JSON.parse(localStorage.getItem('eqPresets') || '{}');
+        this.eqSaveTimers = new Map();
+        this.eqSelectedBand = 0;
+        this.deckLevels = new Map();
+        this.replayGainMode = localStorage.getItem('replayGainMode') || 'off';
+        this.preventClipping = localStorage.getItem('preventClipping') !== 'false';
+        this.visualizerStage = document.querySelector('.album-stage');
+        this.visualizer = document.getElementById('visualizer')
+            ? new Visualizer(document.getElementById('visualizer'))
+            : null;
+        this.visualizerEnabled = localStorage.getItem('visualizer') === 'true';
+        this.visualizerMode = localStorage.getItem('visualizerMode') || 'bars';
+        
+        this.init();
+    }
+
+    async init() {
+        try {
+            await this.storage.init();
+            await this.loadStoredSongs();
+            this.setupEventListeners();
+            this.setVolume(localStorage.getItem('volume') || 50);
+            this.updatePlaybackModeButtons();
+            this.setupSettings();
+            this.setupEqualizer();
+            this.setupReplayGain();
+            this.setupVisualizer();
+            this.setupMediaSession();
+            this.setupBackup();
+            this.setupStorageDashboard();
+            this.setupImportPanel();
+            this.setupStats();
+            this.setupLyrics();
+            this.setupPractice();
+            this.setupSleepTimer();
+            this.setupShortcuts();
+            this.setupDragAndDrop();
+            this.setupPlaylistManagement();
+            this.setupQueue();
+            this.setupSearch();
+            this.setupPlaylistView();
+            this.setupBrowse();
+            this.setupServiceWorker();
+            this.setupLaunchQueue();
+        } catch (error) {
+            console.error('Failed to initialize music player:', error);
+            this.setupEventListeners();
+            this.setVolume(50);
+            this.loadSampleTrack();
+        }
+    }
+
+    async loadStoredSongs() {
+        try {
+            const storedSongs = await this.storage.getAllSongs();
+            this.playlists = await this.storage.getAllPlaylists();
+            this.queue = (await this.storage.getState('queue')) || [];
+            this.library = storedSongs;
+
+            if (!this.getActivePlaylist() && !this.isAutoPlaylist(this.activePlaylistId)) this.activePlaylistId = null;
+            await this.loadRecentlyAdded();
+            await this.loadSortOrder();
+            this.queue = this.queue.filter(id => this.library.some(track => track.id === id));
+            this.updateQueueDisplay();
+            this.playlist = this.getActiveTracks();
+            this.updatePlaylistSelector();
+            
+            if (this.playlist.length > 0) {
+                const playbackState = JSON.parse(localStorage.getItem('playbackState') || 'null');
+                this.currentTrackIndex = this.getRestoredTrackIndex(playbackState);
+                this.loadTrack(this.currentTrackIndex);
+                this.restorePlaybackState(playbackState);
+                this.updatePlaylistDisplay();
+            } else {
+                this.loadSampleTrack();
+            }
+
+            this.backfillWaveforms().then(() => this.backfillContentHashes());
+        } catch (error) {
+            console.error('Failed to load stored songs:', error);
+            this.loadSampleTrack();
+        }
+    }
+
+    // Songs that failed once are marked with waveformError so they aren't decoded again on every load
+    async backfillWaveforms() {
+        const pending = this.library.filter(track => !track.waveform && !track.waveformError && track.audioBlob);
+
+        for (const track of pending) {
+            await this.waitForIdle();
+            try {
+                const { waveform, duration } = await this.audioAnalyzer.analyze(track.audioBlob);
+                if (!this.library.includes(track)) continue;
+                await this.storage.updateSong(track.id, { waveform, duration });
+                track.waveform = waveform;
+                track.duration = duration;
+                if (track === this.getCurrentTrack()) this.drawWaveform();
+            } catch (error) {
+                console.error(`Failed to compute waveform for ${track.title}:`, error);
+                track.waveformError = true;
+                this.storage.updateSong(track.id, { waveformError: true }).catch(saveError => {
+                    console.error('Failed to save waveform error:', saveError);
+                });
+            }
+        }
+    }
+
+    async backfillContentHashes() {
+        const pending = this.library.filter(track => !track.contentHash && track.audioBlob);
+
+        for (const track of pending) {
+            await this.waitForIdle();
+            const contentHash = await this.hashBlob(track.audioBlob);
+            if (!contentHash || !this.library.includes(track)) continue;
+            try {
+                await this.storage.updateSong(track.id, { contentHash });
+                track.contentHash = contentHash;
+            } catch (error) {
+                console.error(`Failed to save the hash of ${track.title}:`, error);
+            }
+        }
+    }
+
+    waitForIdle() {
+        return new Promise(resolve => {
+            if ('requestIdleCallback' in window) {
+                requestIdleCallback(() => resolve(), { timeout: 10000 });
+            } else {
+                setTimeout(resolve, 1000);
+            }
+        });
+    }
+
+    setupEventListeners() {
+        this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
+        this.prevBtn.addEventListener('click', () => this.previousTrack());
+        this.nextBtn.addEventListener('click', () => this.nextTrack());
+        if (this.shuffleBtn) this.shuffleBtn.addEventListener('click', () => this.toggleShuffle());
+        if (this.repeatBtn) this.repeatBtn.addEventListener('click', () => this.cycleRepeatMode());
+        
+        this.progressBar.addEventListener('click', (e) => this.setProgress(e));
+        this.progressBar.addEventListener('mousemove', (e) => this.showProgressTooltip(e));
+        this.progressBar.addEventListener('mouseleave', () => this.hideProgressTooltip());
+        this.progressBar.addEventListener('contextmenu', (e) => {
+            if (!this.audio.duration) return;
+            e.preventDefault();
+            this.showLoopMenu(e);
+        });
+        window.addEventListener('resize', () => this.drawWaveform());
+        this.progressHandle.addEventListener('mousedown', () => this.startDragging());
+        document.addEventListener('mousemove', (e) => this.handleDragging(e));
+        document.addEventListener('mouseup', () => this.stopDragging());
+        
+        this.volumeSlider.addEventListener('input', (e) => {
+            this.setVolume(e.target.value);
+            localStorage.setItem('volume', e.target.value);
+        });
+        
+        // Both decks report events, but only the audible one drives the UI
+        this.decks.forEach(deck => {
+            deck.addEventListener('loadedmetadata', () => {
+                if (deck !== this.audio) return;
+                this.updateDuration();
+                this.preloadNextTrack();
+            });
+            deck.addEventListener('timeupdate', () => {
+                if (deck !== this.audio) return;
+                this.updateProgress();
+                this.scheduleTransition();
+            });
+            deck.addEventListener('seeking', () => {
+                if (deck !== this.audio) return;
+                this.cancelTransition();
+                this.updatePositionState();
+            });
+            deck.addEventListener('ended', () => {
+                if (deck === this.audio) this.handleTrackEnded();
+            });
+        });
+        
+        this.audioUpload.addEventListener('change', (e) => this.handleFileUpload(e));
+        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        // Leaving the page is not a skip, so a listen short of a play is dropped
+        window.addEventListener('pagehide', () => {
+            this.savePlaybackState();
+            this.saveListenedTime(this.listen);
+            this.listen = null;
+        });
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted && !this.listen) this.beginListen(this.loadedTrack);
+        });
+    }
+
+    setupMediaSession() {
+        if (!('mediaSession' in navigator) || !('setActionHandler' in navigator.mediaSession)) return;
+
+        const handlers = {
+            play: () => this.play(),
+            pause: () => this.pause(),
+            previoustrack: () => this.previousTrack(),
+            nexttrack: () => this.nextTrack(),
+            seekbackward: (details) => this.seekBy(-(details.seekOffset || 10)),
+            seekforward: (details) => this.seekBy(details.seekOffset || 10),
+            seekto: (details) => {
+                if (details.fastSeek && 'fastSeek' in this.audio) {
+                    this.audio.fastSeek(details.seekTime);
+                } else {
+                    this.audio.currentTime = details.seekTime;
+                }
+                this.updatePositionState();
+            }
+        };
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (error) {
+                // Browsers throw for actions they don't support
+            }
+        });
+    }
+
+    updateMediaMetadata(track) {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        const artwork = this.getCoverUrl(track);
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.title,
+            artist: track.artist,
+            album: track.album || '',
+            artwork: artwork
+                ? [{ src: artwork, type: track.coverBlob ? track.coverBlob.type : 'image/png' }]
+                : []
+        });
+    }
+
+    updatePositionState() {
+        if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+        if (!this.audio.duration || !isFinite(this.audio.duration)) return;
+
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: this.audio.duration,
+                playbackRate: this.audio.playbackRate,
+                position: Math.min(this.audio.currentTime, this.audio.duration)
+            });
+        } catch (error) {
+            console.error('Failed to update media position state:', error);
+        }
+    }
+
+    seekBy(seconds) {
+        if (!this.audio.duration) return;
+        this.audio.currentTime = Math.max(0, Math.min(this.audio.duration, this.audio.currentTime + seconds));
+        this.updatePositionState();
+    }
+
+    setupPractice() {
+        const skipButtons = {
+            skipBack30: -30,
+            skipBack5: -5,
+            skipForward5: 5,
+            skipForward30: 30
+        };
+        Object.entries(skipButtons).forEach(([id, seconds]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', () => this.seekBy(seconds));
+        });
+
+        const loopBtn = document.getElementById('loopBtn');
+        const speedBtn = document.getElementById('speedBtn');
+        const speedPanel = document.getElementById('speedPanel');
+        const speedSlider = document.getElementById('speedSlider');
+        const preservePitchToggle = document.getElementById('preservePitchToggle');
+        const pitchSlider = document.getElementById('pitchSlider');
+        const resetSpeedBtn = document.getElementById('resetSpeed');
+
+        if (loopBtn) {
+            loopBtn.addEventListener('click', () => this.cycleLoop());
+        }
+        if (speedBtn && speedPanel) {
+            speedBtn.addEventListener('click', () => {
+                const show = speedPanel.style.display === 'none';
+                speedPanel.style.display = show ? 'block' : 'none';
+                speedBtn.classList.toggle('active', show);
+            });
+        }
+        if (speedSlider) {
+            speedSlider.addEventListener('input', (e) => this.setPlaybackRate(parseFloat(e.target.value)));
+            speedSlider.addEventListener('change', () => this.saveTrackSpeed());
+        }
+        if (preservePitchToggle) {
+            preservePitchToggle.checked = this.preservePitch;
+            preservePitchToggle.addEventListener('change', (e) => {
+                this.preservePitch = e.target.checked;
+                localStorage.setItem('preservePitch', this.preservePitch);
+                this.applyPreservePitch();
+            });
+        }
+        if (pitchSlider) {
+            pitchSlider.addEventListener('input', (e) => this.setPitchShift(parseInt(e.target.value)));
+        }
+        if (resetSpeedBtn) {
+            resetSpeedBtn.addEventListener('click', () => {
+                this.setPlaybackRate(1);
+                this.saveTrackSpeed();
+                this.setPitchShift(0);
+            });
+        }
+
+        this.applyPreservePitch();
+        this.updateSpeedDisplay();
+    }
+
+    applyPlaybackRate(deck, track) {
+        const rate = (track && track.playbackRate) || 1;
+        // Loading a new source resets playbackRate to defaultPlaybackRate, so set both
+        deck.defaultPlaybackRate = rate;
+        deck.playbackRate = rate;
+        if (deck === this.audio) this.updateSpeedDisplay();
+    }
+
+    changePlaybackRate(step) {
+        const rate = Math.min(2, Math.max(0.5, Math.round(((this.audio.playbackRate || 1) + step) * 100) / 100));
+        this.setPlaybackRate(rate);
+        this.saveTrackSpeed();
+    }
+
+    setPlaybackRate(rate) {
+        const track = this.loadedTrack;
+        if (track) track.playbackRate = rate;
+        this.applyPlaybackRate(this.audio, track || { playbackRate: rate });
+        this.updatePositionState();
+    }
+
+    async saveTrackSpeed() {
+        const track = this.loadedTrack;
+        if (!track || track.id === undefined) return;
+        try {
+            await this.storage.updateSong(track.id, { playbackRate: track.playbackRate || 1 });
+        } catch (error) {
+            console.error('Failed to save playback speed:', error);
+        }
+    }
+
+    applyPreservePitch() {
+        this.decks.forEach(deck => {
+            deck.preservesPitch = this.preservePitch;
+            if ('webkitPreservesPitch' in deck) deck.webkitPreservesPitch = this.preservePitch;
+        });
+    }
+
+    updateSpeedDisplay() {
+        const rate = this.audio.playbackRate || 1;
+        const speedSlider = document.getElementById('speedSlider');
+        const speedValue = document.getElementById('speedValue');
+        const speedBtn = document.getElementById('speedBtn');
+        const pitchSlider = document.getElementById('pitchSlider');
+        const pitchValue = document.getElementById('pitchValue');
+
+        if (speedSlider) speedSlider.value = rate;
+        if (speedValue) speedValue.textContent = `${rate.toFixed(2)}×`;
+        if (speedBtn) {
+            speedBtn.textContent = `${Number(rate.toFixed(2))}×`;
+            speedBtn.classList.toggle('changed', rate !== 1 || this.pitchSemitones !== 0);
+        }
+        if (pitchSlider) pitchSlider.value = this.pitchSemitones;
+        if (pitchValue) pitchValue.textContent = `${this.pitchSemitones > 0 ? '+' : ''}${this.pitchSemitones} st`;
+    }
+
+    async setPitchShift(semitones) {
+        this.pitchSemitones = semitones;
+        this.updateSpeedDisplay();
+        if (semitones !== 0 && !this.pitchShifter) await this.loadPitchShifter();
+        if (!this.pitchShifter) return;
+
+        const ratio = Math.pow(2, this.pitchSemitones / 12);
+        this.pitchShifter.parameters.get('ratio').setValueAtTime(ratio, this.audioContext.currentTime);
+    }
+
+    loadPitchShifter() {
+        if (!this.pitchShifterReady) {
+            this.pitchShifterReady = (async () => {
+                this.ensureAudioGraph();
+                if (!this.audioContext || !this.audioContext.audioWorklet) {
+                    this.showNotification('Pitch shifting is not supported in this browser', 'error');
+                    return;
+                }
+
+                const url = URL.createObjectURL(new Blob([PITCH_SHIFT_WORKLET], { type: 'text/javascript' }));
+                try {
+                    await this.audioContext.audioWorklet.addModule(url);
+                    this.pitchShifter = new AudioWorkletNode(this.audioContext, 'pitch-shift');
+                    this.outputNode.disconnect();
+                    this.outputNode.connect(this.pitchShifter);
+                    this.pitchShifter.connect(this.equalizer.input);
+                } catch (error) {
+                    console.error('Failed to load the pitch shifter:', error);
+                    this.showNotification('Failed to start pitch shifting', 'error');
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            })();
+        }
+        return this.pitchShifterReady;
+    }
+
+    setupSleepTimer() {
+        const sleepBtn = document.getElementById('sleepBtn');
+        if (sleepBtn) sleepBtn.addEventListener('click', () => this.openSleepDialog());
+
+        // An alarm saved before a reload still goes off, unless its time passed while the tab was closed
+        if (this.alarm && new Date(this.alarm.at).getTime() > Date.now()) {
+            this.startAlarmClock();
+        } else {
+            this.cancelAlarm();
+        }
+        this.updateSleepDisplay();
+    }
+
+    openSleepDialog() {
+        this.closeSongEditor();
+
+        const playlistOptions = [
+            '<option value="">My Library</option>',
+            ...this.playlists.map(playlist => `<option value="${playlist.id}">${this.escapeHtml(playlist.name)}</option>`),
+            ...AUTO_PLAYLISTS.map(playlist => `<option value="${playlist.id}">${playlist.name}</option>`)
+        ].join('');
+        const timer = this.sleepTimer;
+        const alarmAt = this.alarm ? new Date(this.alarm.at) : null;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <form class="modal sleep-dialog">
+                <div class="settings-header">
+                    <h3><i class="fas fa-moon"></i> Sleep timer</h3>
+                    <button type="button" class="mgmt-btn" data-action="close" title="Close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="settings-section">
+                    <label class="settings-row">
+                        <span>Stop playing</span>
+                        <select name="mode">
+                            <option value="minutes">After a number of minutes</option>
+                            <option value="track">At the end of this song</option>
+                            <option value="queue">When Up Next runs out</option>
+                        </select>
+                    </label>
+                    <label class="settings-row" data-minutes-row>
+                        <span>Minutes</span>
+                        <input type="number" name="minutes" min="1" max="600" value="${localStorage.getItem('sleepMinutes') || 30}">
+                    </label>
+                    <label class="settings-row">
+                        <span>Fade out over <output name="fadeValue">${this.sleepFadeSeconds} s</output></span>
+                        <input type="range" name="fade" min="0" max="120" step="5" value="${this.sleepFadeSeconds}" class="settings-slider">
+                    </label>
+                    <div class="song-editor-actions">
+                        ${timer ? '<button type="button" class="settings-btn" data-action="cancel-timer">Cancel timer</button>' : ''}
+                        <button type="submit" class="settings-btn primary">${timer ? 'Restart timer' : 'Start timer'}</button>
+                    </div>
+                </div>
+                <div class="settings-section">
+                    <h4><i class="fas fa-bell"></i> Alarm</h4>
+                    <label class="settings-row">
+                        <span>Start playing at</span>
+                        <input type="time" name="alarmTime" value="${alarmAt ? `${String(alarmAt.getHours()).padStart(2, '0')}:${String(alarmAt.getMinutes()).padStart(2, '0')}` : '07:00'}">
+                    </label>
+                    <label class="settings-row">
+                        <span>Playlist</span>
+                        <select name="alarmPlaylist">${playlistOptions}</select>
+                    </label>
+                    <p class="modal-message">The alarm only goes off while this tab stays open.</p>
+                    <div class="song-editor-actions">
+                        ${this.alarm ? '<button type="button" class="settings-btn" data-action="cancel-alarm">Cancel alarm</button>' : ''}
+                        <button type="button" class="settings-btn primary" data-action="set-alarm">${this.alarm ? 'Update alarm' : 'Set alarm'}</button>
+                    </div>
+                </div>
+            </form>
+        `;
+
+        const form = overlay.querySelector('form');
+        form.elements.mode.value = timer ? timer.mode : 'minutes';
+        form.elements.alarmPlaylist.value = this.alarm && this.alarm.playlistId !== null ? this.alarm.playlistId : '';
+        const minutesRow = overlay.querySelector('[data-minutes-row]');
+        const syncMinutesRow = () => {
+            minutesRow.style.display = form.elements.mode.value === 'minutes' ? '' : 'none';
+        };
+        syncMinutesRow();
+
+        form.elements.mode.addEventListener('change', syncMinutesRow);
+        form.elements.fade.addEventListener('input', (e) => {
+            form.elements.fadeValue.textContent = `${e.target.value} s`;
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const minutes = parseInt(form.elements.minutes.value);
+            const mode = form.elements.mode.value;
+            if (mode === 'minutes' && !(minutes > 0)) return;
+
+            this.sleepFadeSeconds = parseInt(form.elements.fade.value);
+            localStorage.setItem('sleepFade', this.sleepFadeSeconds);
+            if (mode === 'minutes') localStorage.setItem('sleepMinutes', minutes);
+            this.startSleepTimer(mode, minutes);
+            overlay.remove();
+        });
+        overlay.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (e.target === overlay || (action && action.dataset.action === 'close')) {
+                overlay.remove();
+            } else if (action && action.dataset.action === 'cancel-timer') {
+                this.cancelSleepTimer();
+                this.showNotification('Sleep timer cancelled', 'info');
+                overlay.remove();
+            } else if (action && action.dataset.action === 'set-alarm') {
+                if (!form.elements.alarmTime.value) return;
+                this.setAlarm(form.elements.alarmTime.value, this.parsePlaylistId(form.elements.alarmPlaylist.value));
+                overlay.remove();
+            } else if (action && action.dataset.action === 'cancel-alarm') {
+                this.cancelAlarm();
+                this.showNotification('Alarm cancelled', 'info');
+                overlay.remove();
+            }
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') overlay.remove();
+        });
+
+        document.body.appendChild(overlay);
+        form.elements.mode.focus();
+    }
+
+    startSleepTimer(mode, minutes) {
+        this.cancelSleepTimer();
+        this.sleepTimer = {
+            mode,
+            endsAt: mode === 'minutes' ? Date.now() + minutes * 60 * 1000 : null,
+            interval: setInterval(() => this.tickSleepTimer(), 250)
+        };
+        this.cancelTransition();
+        this.tickSleepTimer();
+
+        const messages = {
+            minutes: `Playback will stop in ${minutes} minute(s)`,
+            track: 'Playback will stop at the end of this song',
+            queue: 'Playback will stop when Up Next runs out'
+        };
+        this.showNotification(messages[mode], 'success');
+    }
+
+    cancelSleepTimer() {
+        if (!this.sleepTimer) return;
+        clearInterval(this.sleepTimer.interval);
+        this.sleepTimer = null;
+        this.setVolume(this.volumeSlider.value);
+        this.updateSleepDisplay();
+    }
+
+    // Pauses first and only then puts the volume back, so the last moment isn't heard at full volume
+    finishSleepTimer() {
+        if (!this.sleepTimer) return;
+        clearInterval(this.sleepTimer.interval);
+        this.sleepTimer = null;
+        this.pause();
+        this.setVolume(this.volumeSlider.value);
+        this.updateSleepDisplay();
+        this.showNotification('Sleep timer finished. Good night!', 'info');
+    }
+
+    stopsAfterCurrentTrack() {
+        if (!this.sleepTimer) return false;
+        return this.sleepTimer.mode === 'track' || (this.sleepTimer.mode === 'queue' && this.queue.length === 0);
+    }
+
+    getSleepRemaining() {
+        if (this.sleepTimer.mode === 'minutes') return (this.sleepTimer.endsAt - Date.now()) / 1000;
+        if (!this.stopsAfterCurrentTrack() || !this.audio.duration) return Infinity;
+        return (this.audio.duration - this.audio.currentTime) / (this.audio.playbackRate || 1);
+    }
+
+    tickSleepTimer() {
+        if (!this.sleepTimer) return;
+
+        const remaining = this.getSleepRemaining();
+        if (this.sleepTimer.mode === 'minutes' && remaining <= 0) {
+            this.finishSleepTimer();
+            return;
+        }
+
+        const fade = this.sleepFadeSeconds;
+        const factor = fade > 0 && remaining < fade ? Math.max(0, remaining / fade) : 1;
+        const volume = (this.volumeSlider.value / 100) * factor;
+        this.decks.forEach(deck => {
+            deck.volume = volume;
+        });
+        this.updateSleepDisplay(remaining);
+    }
+
+    updateSleepDisplay(remaining) {
+        const sleepBtn = document.getElementById('sleepBtn');
+        if (!sleepBtn) return;
+
+        const timer = this.sleepTimer;
+        const label = timer && timer.mode === 'minutes' ? this.formatTime(Math.max(0, Math.ceil(remaining))) : '';
+        if (sleepBtn.dataset.label !== label) {
+            sleepBtn.dataset.label = label;
+            sleepBtn.innerHTML = `<i class="fas fa-moon"></i>${label ? ` ${label}` : ''}`;
+        }
+        sleepBtn.classList.toggle('active', !!timer || !!this.alarm);
+
+        const titles = {
+            minutes: `Stopping in ${label}`,
+            track: 'Stopping at the end of this song',
+            queue: 'Stopping when Up Next runs out'
+        };
+        const alarmTitle = this.alarm
+            ? `Alarm at ${new Date(this.alarm.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+        sleepBtn.title = [timer ? titles[timer.mode] : 'Sleep timer', alarmTitle].filter(Boolean).join(' · ');
+    }
+
+    setAlarm(time, playlistId) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const at = new Date();
+        at.setHours(hours, minutes, 0, 0);
+        if (at.getTime() <= Date.now()) at.setDate(at.getDate() + 1);
+
+        this.alarm = { at: at.toISOString(), playlistId };
+        localStorage.setItem('alarm', JSON.stringify(this.alarm));
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(error => console.error('Failed to request notification permission:', error));
+        }
+        this.startAlarmClock();
+        this.updateSleepDisplay();
+        this.showNotification(`Alarm set for ${at.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`, 'success');
+    }
+
+    cancelAlarm() {
+        clearInterval(this.alarmInterval);
+        this.alarmInterval = null;
+        this.alarm = null;
+        localStorage.removeItem('alarm');
+        this.updateSleepDisplay();
+    }
+
+    // Polls instead of one long setTimeout, which drifts when the computer sleeps
+    startAlarmClock() {
+        clearInterval(this.alarmInterval);
+        this.alarmInterval = setInterval(() => {
+            if (this.alarm && Date.now() >= new Date(this.alarm.at).getTime()) this.fireAlarm();
+        }, 15000);
+    }
+
+    async fireAlarm() {
+        let { playlistId } = this.alarm;
+        this.cancelAlarm();
+
+        if (playlistId !== null && !this.isAutoPlaylist(playlistId) && !this.playlists.some(playlist => playlist.id === playlistId)) {
+            playlistId = null;
+        }
+        this.switchPlaylist(playlistId);
+        if (this.playlist.length === 0) {
+            this.showNotification('Alarm: there is nothing to play', 'error');
+            return;
+        }
+
+        if (this.shuffle) {
+            this.buildShuffleOrder(true);
+            this.currentTrackIndex = this.getShuffleTrackIndex();
+        } else {
+            this.currentTrackIndex = 0;
+        }
+        this.loadTrack(this.currentTrackIndex);
+        this.setVolume(this.volumeSlider.value);
+        const playing = await this.play(false);
+        if (playing) {
+            this.showNotification('Good morning! Your alarm is playing', 'info');
+        } else {
+            this.showAlarmPrompt();
+        }
+    }
+
+    // Browsers only allow audio after the user has interacted with the page, which an alarm
+    // restored after a reload hasn't had
+    showAlarmPrompt() {
+        const banner = document.getElementById('alarmBanner');
+        const playBtn = document.getElementById('alarmPlay');
+        const dismissBtn = document.getElementById('alarmDismiss');
+        if (!banner || !playBtn || !dismissBtn) return;
+
+        banner.style.display = 'flex';
+        playBtn.onclick = () => {
+            banner.style.display = 'none';
+            this.play();
+        };
+        dismissBtn.onclick = () => {
+            banner.style.display = 'none';
+        };
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            const notification = new Notification('Your alarm went off', { body: 'Open the player to start the music.' });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+            };
+        }
+    }
+
+    cycleLoop() {
+        if (!this.audio.duration) return;
+        const time = this.audio.currentTime;
+        if (this.loopStart === null) this.setLoop(time, null);
+        else if (this.loopEnd === null) this.setLoop(this.loopStart, time);
+        else this.setLoop(null, null);
+    }
+
+    // Pass null for either point to clear it; a loop with only an end starts from 0:00
+    setLoop(start, end) {
+        if (start !== null && end !== null && start > end) [start, end] = [end, start];
+        if (start !== null && end !== null && end - start < 0.5) end = null;
+        this.loopStart = start;
+        this.loopEnd = end;
+        if (end !== null) this.cancelTransition();
+        this.updateLoopDisplay();
+        this.enforceLoop();
+    }
+
+    // timeupdate only fires every quarter second or so, so a timer catches the B point in between
+    enforceLoop() {
+        clearTimeout(this.loopTimer);
+        this.loopTimer = null;
+        if (this.loopEnd === null) return;
+
+        if (this.audio.currentTime >= this.loopEnd) this.audio.currentTime = this.loopStart || 0;
+        if (!this.isPlaying) return;
+        const wait = (this.loopEnd - this.audio.currentTime) / (this.audio.playbackRate || 1);
+        this.loopTimer = setTimeout(() => this.enforceLoop(), wait * 1000);
+    }
+
+    updateLoopDisplay() {
+        const loopBtn = document.getElementById('loopBtn');
+        const loopRegion = document.getElementById('loopRegion');
+        const duration = this.audio.duration;
+
+        if (loopBtn) {
+            loopBtn.classList.toggle('active', this.loopStart !== null || this.loopEnd !== null);
+            if (this.loopEnd !== null) {
+                loopBtn.title = `Looping ${this.formatTime(this.loopStart || 0)}–${this.formatTime(this.loopEnd)}. Click to clear.`;
+            } else if (this.loopStart !== null) {
+                loopBtn.title = `A set at ${this.formatTime(this.loopStart)}. Click to set B.`;
+            } else {
+                loopBtn.title = 'A–B loop: click to set A, again to set B. Right-click the progress bar to set points there.';
+            }
+        }
+        if (loopRegion) {
+            const visible = duration && (this.loopStart !== null || this.loopEnd !== null);
+            loopRegion.style.display = visible ? 'block' : 'none';
+            if (visible) {
+                const start = (this.loopStart || 0) / duration;
+                const end = this.loopEnd !== null ? this.loopEnd / duration : start;
+                loopRegion.style.left = `${start * 100}%`;
+                loopRegion.style.width = `${(end - start) * 100}%`;
+                loopRegion.classList.toggle('open', this.loopEnd === null);
+            }
+        }
+    }
+
+    showLoopMenu(e) {
+        this.closeContextMenu();
+
+        const rect = this.progressBar.getBoundingClientRect();
+        const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const time = percent * this.audio.duration;
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.innerHTML = `
+            <div class="context-menu-label">Loop at ${this.formatTime(time)}</div>
+            <button data-action="start"><i class="fas fa-step-backward"></i> Set A (start) here</button>
+            <button data-action="end"><i class="fas fa-step-forward"></i> Set B (end) here</button>
+            ${this.loopStart !== null || this.loopEnd !== null ? '<button data-action="clear"><i class="fas fa-times"></i> Clear loop</button>' : ''}
+        `;
+
+        menu.addEventListener('click', (event) => {
+            const button = event.target.closest('button');
+            if (!button) return;
+            event.stopPropagation();
+            this.closeContextMenu();
+            if (button.dataset.action === 'start') this.setLoop(time, this.loopEnd);
+            else if (button.dataset.action === 'end') this.setLoop(this.loopStart, time);
+            else this.setLoop(null, null);
+        });
+
+        menu.style.top = `${e.clientY + 4}px`;
+        menu.style.left = `${Math.max(8, Math.min(window.innerWidth - 200, e.clientX))}px`;
+        document.body.appendChild(menu);
+    }
+
+    setupSettings() {
+        const settingsBtn = document.getElementById('settingsBtn');
+        const settingsPanel = document.getElementById('settingsPanel');
+        const closeSettings = document.getElementById('closeSettings');
+        const gaplessToggle = document.getElementById('gaplessToggle');
+        const crossfadeSlider = document.getElementById('crossfadeSlider');
+        const crossfadeValue = document.getElementById('crossfadeValue');
+        const bookmarkSlider = document.getElementById('bookmarkSlider');
+        const bookmarkValue = document.getElementById('bookmarkValue');
+
+        if (settingsBtn && settingsPanel) {
+            settingsBtn.addEventListener('click', () => {
+                settingsPanel.style.display = settingsPanel.style.display === 'none' ? 'block' : 'none';
+            });
+        }
+        if (closeSettings && settingsPanel) {
+            closeSettings.addEventListener('click', () => {
+                settingsPanel.style.display = 'none';
+            });
+        }
+
+        if (gaplessToggle) {
+            gaplessToggle.checked = this.gapless;
+            gaplessToggle.addEventListener('change', (e) => {
+                this.gapless = e.target.checked;
+                localStorage.setItem('gapless', this.gapless);
+                this.preloadNextTrack();
+            });
+        }
+
+        if (bookmarkSlider) {
+            const showBookmark = () => {
+                if (bookmarkValue) bookmarkValue.textContent = this.bookmarkMinutes ? `${this.bookmarkMinutes} min` : 'Off';
+            };
+            bookmarkSlider.value = this.bookmarkMinutes;
+            showBookmark();
+            bookmarkSlider.addEventListener('input', (e) => {
+                this.bookmarkMinutes = parseInt(e.target.value);
+                localStorage.setItem('bookmarkMinutes', this.bookmarkMinutes);
+                showBookmark();
+            });
+        }
+
+        if (crossfadeSlider) {
+            const showCrossfade = () => {
+                if (crossfadeValue) crossfadeValue.textContent = this.crossfade ? `${this.crossfade}s` : 'Off';
+            };
+            crossfadeSlider.value = this.crossfade;
+            showCrossfade();
+            crossfadeSlider.addEventListener('input', (e) => {
+                this.crossfade = parseFloat(e.target.value);
+                localStorage.setItem('crossfade', this.crossfade);
+                showCrossfade();
+                this.preloadNextTrack();
+            });
+        }
+    }
+
+    setupEqualizer() {
+        const eqToggle = document.getElementById('eqToggle');
+        const eqPreset = document.getElementById('eqPreset');
+        const eqPreamp = document.getElementById('eqPreamp');
+        const eqBands = document.getElementById('eqBands');
+        const saveEqPreset = document.getElementById('saveEqPreset');
+        const deleteEqPreset = document.getElementById('deleteEqPreset');
+        const eqPerSong = document.getElementById('eqPerSong');
+        const eqFrequency = document.getElementById('eqFrequency');
+        const eqQ = document.getElementById('eqQ');
+
+        if (eqBands) {
+            eqBands.innerHTML = EQ_FREQUENCIES.map((frequency, index) => `
+                <label class="eq-band" data-band-index="${index}">
+                    <output data-band-value="${index}">0</output>
+                    <input type="range" min="-12" max="12" step="0.5" value="0" data-band="${index}">
+                    <span data-band-frequency="${index}">${formatFrequency(frequency)}</span>
+                </label>
+            `).join('');
+
+            eqBands.addEventListener('input', (e) => {
+                if (e.target.dataset.band === undefined) return;
+                const gains = this.getActiveEqSettings().gains.slice();
+                gains[parseInt(e.target.dataset.band)] = parseFloat(e.target.value);
+                this.eqSelectedBand = parseInt(e.target.dataset.band);
+                this.updateEqSettings({ gains, preset: 'Custom' });
+            });
+            eqBands.addEventListener('click', (e) => {
+                const band = e.target.closest('[data-band-index]');
+                if (!band) return;
+                this.eqSelectedBand = parseInt(band.dataset.bandIndex);
+                this.updateEqualizerControls(this.getActiveEqSettings());
+            });
+        }
+
+        // The frequency slider runs from 0 to 1 on a log scale across the audible range
+        if (eqFrequency) {
+            eqFrequency.addEventListener('input', (e) => {
+                const frequencies = (this.getActiveEqSettings().frequencies || EQ_FREQUENCIES).slice();
+                frequencies[this.eqSelectedBand] = Math.round(EQ_MIN_FREQUENCY * Math.pow(EQ_MAX_FREQUENCY / EQ_MIN_FREQUENCY, parseFloat(e.target.value)));
+                this.updateEqSettings({ frequencies, preset: 'Custom' });
+            });
+        }
+
+        if (eqQ) {
+            eqQ.addEventListener('input', (e) => {
+                const qs = (this.getActiveEqSettings().qs || EQ_FREQUENCIES.map(() => EQ_DEFAULT_Q)).slice();
+                qs[this.eqSelectedBand] = parseFloat(e.target.value);
+                this.updateEqSettings({ qs, preset: 'Custom' });
+            });
+        }
+
+        if (eqToggle) {
+            eqToggle.addEventListener('change', (e) => {
+                this.eqSettings.enabled = e.target.checked;
+                localStorage.setItem('equalizer', JSON.stringify(this.eqSettings));
+                this.applyEqualizer();
+            });
+        }
+
+        if (eqPreset) {
+            eqPreset.addEventListener('change', (e) => {
+                const name = e.target.value;
+                const preset = EQ_PRESETS[name]
+                    ? { preamp: 0, gains: EQ_PRESETS[name] }
+                    : this.eqUserPresets[name];
+                if (preset) {
+                    this.updateEqSettings({
+                        preset: name,
+                        preamp: preset.preamp,
+                        gains: preset.gains.slice(),
+                        frequencies: (preset.frequencies || EQ_FREQUENCIES).slice(),
+                        qs: preset.qs ? preset.qs.slice() : EQ_FREQUENCIES.map(() => EQ_DEFAULT_Q)
+                    });
+                }
+            });
+        }
+
+        if (eqPreamp) {
+            eqPreamp.addEventListener('input', (e) => {
+                this.updateEqSettings({ preamp: parseFloat(e.target.value) });
+            });
+        }
+
+        if (saveEqPreset) saveEqPreset.addEventListener('click', () => this.saveEqPreset());
+        if (deleteEqPreset) deleteEqPreset.addEventListener('click', () => this.deleteEqPreset());
+        if (eqPerSong) eqPerSong.addEventListener('change', (e) => this.setTrackEqualizer(e.target.checked));
+
+        this.applyEqualizer();
+    }
+
+    getActiveEqSettings() {
+        const track = this.getCurrentTrack();
+        return track && track.eq ? track.eq : this.eqSettings;
+    }
+
+    updateEqSettings(changes) {
+        const track = this.getCurrentTrack();
+        if (track && track.eq) {
+            track.eq = { ...track.eq, ...changes };
+            this.saveTrackEqualizer(track);
+        } else {
+            this.eqSettings = { ...this.eqSettings, ...changes };
+            localStorage.setItem('equalizer', JSON.stringify(this.eqSettings));
+        }
+        this.applyEqualizer();
+    }
+
+    applyEqualizer() {
+        const settings = this.getActiveEqSettings();
+        if (this.equalizer) {
+            this.equalizer.apply({ ...settings, enabled: this.eqSettings.enabled });
+        }
+        this.updateEqualizerControls(settings);
+    }
+
+    updateEqualizerControls(settings) {
+        const eqToggle = document.getElementById('eqToggle');
+        const eqPreset = document.getElementById('eqPreset');
+        const eqPreamp = document.getElementById('eqPreamp');
+        const eqPreampValue = document.getElementById('eqPreampValue');
+        const eqPerSong = document.getElementById('eqPerSong');
+        const track = this.getCurrentTrack();
+
+        if (eqToggle) eqToggle.checked = this.eqSettings.enabled;
+        if (eqPreamp) eqPreamp.value = settings.preamp;
+        if (eqPreampValue) eqPreampValue.textContent = `${settings.preamp > 0 ? '+' : ''}${settings.preamp} dB`;
+        if (eqPerSong) {
+            eqPerSong.checked = !!(track && track.eq);
+            eqPerSong.disabled = !(track && track.id);
+        }
+
+        if (eqPreset) {
+            const names = [...Object.keys(EQ_PRESETS), ...Object.keys(this.eqUserPresets)];
+            if (!names.includes(settings.preset)) names.push('Custom');
+            eqPreset.innerHTML = names
+                .map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`)
+                .join('');
+            eqPreset.value = names.includes(settings.preset) ? settings.preset : 'Custom';
+        }
+
+        document.querySelectorAll('#eqBands input[data-band]').forEach(input => {
+            const index = parseInt(input.dataset.band);
+            const gain = settings.gains[index] || 0;
+            input.value = gain;
+            const output = document.querySelector(`#eqBands [data-band-value="${index}"]`);
+            if (output) output.textContent = gain > 0 ? `+${gain}` : gain;
+        });
+
+        const frequencies = settings.frequencies || EQ_FREQUENCIES;
+        const qs = settings.qs || [];
+        const selected = this.eqSelectedBand;
+        document.querySelectorAll('#eqBands [data-band-index]').forEach(band => {
+            const index = parseInt(band.dataset.bandIndex);
+            band.classList.toggle('selected', index === selected);
+            band.querySelector('[data-band-frequency]').textContent = formatFrequency(frequencies[index]);
+        });
+
+        const eqFrequency = document.getElementById('eqFrequency');
+        const eqFrequencyValue = document.getElementById('eqFrequencyValue');
+        const eqQ = document.getElementById('eqQ');
+        const eqQValue = document.getElementById('eqQValue');
+        const isShelf = selected === 0 || selected === EQ_FREQUENCIES.length - 1;
+        const q = qs[selected] || EQ_DEFAULT_Q;
+
+        if (eqFrequency) {
+            eqFrequency.value = Math.log(frequencies[selected] / EQ_MIN_FREQUENCY) / Math.log(EQ_MAX_FREQUENCY / EQ_MIN_FREQUENCY);
+        }
+        if (eqFrequencyValue) eqFrequencyValue.textContent = `${formatFrequency(frequencies[selected])}Hz`;
+        if (eqQ) {
+            eqQ.value = q;
+            eqQ.disabled = isShelf;
+        }
+        if (eqQValue) eqQValue.textContent = isShelf ? 'shelf' : q.toFixed(2);
+    }
+
+    saveEqPreset() {
+        const settings = this.getActiveEqSettings();
+        const name = prompt('Preset name:', settings.preset === 'Custom' ? '' : settings.preset);
+        if (!name || !name.trim()) return;
+
+        if (EQ_PRESETS[name.trim()] || name.trim() === 'Custom') {
+            this.showNotification('Built-in presets cannot be overwritten', 'error');
+            return;
+        }
+
+        this.eqUserPresets[name.trim()] = {
+            preamp: settings.preamp,
+            gains: settings.gains.slice(),
+            frequencies: (settings.frequencies || EQ_FREQUENCIES).slice(),
+            qs: settings.qs ? settings.qs.slice() : EQ_FREQUENCIES.map(() => EQ_DEFAULT_Q)
+        };
+        localStorage.setItem('eqPresets', JSON.stringify(this.eqUserPresets));
+        this.updateEqSettings({ preset: name.trim() });
+        this.showNotification(`Saved preset "${name.trim()}"`, 'success');
+    }
+
+    deleteEqPreset() {
+        const settings = this.getActiveEqSettings();
+        if (!this.eqUserPresets[settings.preset]) {
+            this.showNotification('Only your own presets can be deleted', 'error');
+            return;
+        }
+
+        delete this.eqUserPresets[settings.preset];
+        localStorage.setItem('eqPresets', JSON.stringify(this.eqUserPresets));
+        this.updateEqSettings({ preset: 'Custom' });
+    }
+
+    setTrackEqualizer(enabled) {
+        const track = this.getCurrentTrack();
+        if (!track || !track.id) return;
+
+        if (enabled) {
+            const { preset, preamp, gains, frequencies, qs } = this.eqSettings;
+            track.eq = {
+                preset,
+                preamp,
+                gains: gains.slice(),
+                frequencies: (frequencies || EQ_FREQUENCIES).slice(),
+                qs: qs ? qs.slice() : EQ_FREQUENCIES.map(() => EQ_DEFAULT_Q)
+            };
+        } else {
+            track.eq = null;
+        }
+
+        this.saveTrackEqualizer(track);
+        this.applyEqualizer();
+    }
+
+    saveTrackEqualizer(track) {
+        clearTimeout(this.eqSaveTimers.get(track.id));
+        this.eqSaveTimers.set(track.id, setTimeout(() => {
+            this.eqSaveTimers.delete(track.id);
+            this.storage.updateSong(track.id, { eq: track.eq }).catch(error => {
+                console.error('Failed to save song equalizer:', error);
+                this.showNotification('Failed to save equalizer for this song', 'error');
+            });
+        }, 300));
+    }
+
+    setupVisualizer() {
+        const visualizerToggle = document.getElementById('visualizerToggle');
+        const visualizerMode = document.getElementById('visualizerMode');
+        if (!this.visualizer) return;
+
+        this.visualizer.setMode(this.visualizerMode);
+
+        if (visualizerToggle) {
+            visualizerToggle.checked = this.visualizerEnabled;
+            visualizerToggle.addEventListener('change', (e) => {
+                this.visualizerEnabled = e.target.checked;
+                localStorage.setItem('visualizer', this.visualizerEnabled);
+                this.updateVisualizer();
+            });
+        }
+
+        if (visualizerMode) {
+            visualizerMode.value = this.visualizerMode;
+            visualizerMode.addEventListener('change', (e) => this.setVisualizerMode(e.target.value));
+        }
+
+        const cycleMode = () => {
+            const index = VISUALIZER_MODES.indexOf(this.visualizerMode);
+            this.setVisualizerMode(VISUALIZER_MODES[(index + 1) % VISUALIZER_MODES.length]);
+        };
+        this.visualizer.canvas.addEventListener('click', cycleMode);
+
+        // The circular ring lets clicks through to the page, so the album art it surrounds takes them
+        const albumArt = this.visualizerStage && this.visualizerStage.querySelector('.album-art');
+        if (albumArt) {
+            albumArt.addEventListener('click', () => {
+                if (this.visualizerEnabled && this.visualizerMode === 'circular') cycleMode();
+            });
+        }
+
+        document.addEventListener('visibilitychange', () => this.updateVisualizer());
+        this.updateVisualizer();
+    }
+
+    setVisualizerMode(mode) {
+        this.visualizerMode = mode;
+        this.visualizer.setMode(mode);
+        localStorage.setItem('visualizerMode', mode);
+
+        const visualizerMode = document.getElementById('visualizerMode');
+        if (visualizerMode) visualizerMode.value = mode;
+        this.updateVisualizer();
+    }
+
+    updateVisualizer() {
+        if (!this.visualizer) return;
+
+        if (this.visualizerStage) {
+            this.visualizerStage.classList.toggle('visualizer-on', this.visualizerEnabled);
+            VISUALIZER_MODES.forEach(mode => {
+                this.visualizerStage.classList.toggle(`visualizer-${mode}`, this.visualizerMode === mode);
+            });
+        }
+
+        if (this.visualizerEnabled && this.isPlaying && !document.hidden) {
+            this.visualizer.start();
+        } else {
+            this.visualizer.stop();
+            if (!this.visualizerEnabled) this.visualizer.clear();
+        }
+    }
+
+    setupSearch() {
+        const searchInput = document.getElementById('searchInput');
+        const clearSearch = document.getElementById('clearSearch');
+        const sortSelect = document.getElementById('sortSelect');
+
+        if (sortSelect) {
+            sortSelect.value = this.sortBy;
+            sortSelect.addEventListener('change', (e) => this.setSort(e.target.value));
+        }
+
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                const query = e.target.value.trim();
+                this.filterPlaylist(query);
+                clearSearch.style.display = query ? 'block' : 'none';
+            });
+        }
+
+        if (clearSearch) {
+            clearSearch.addEventListener('click', () => {
+                searchInput.value = '';
+                this.filterPlaylist('');
+                clearSearch.style.display = 'none';
+            });
         }
     }
 
@@ -197,179 +3572,2427 @@ class EnhancedMusicPlayer {
             });
         });
 
-        ['dragenter', 'dragover'].forEach(eventName => {
-            dropZone.addEventListener(eventName, () => {
-                dropZone.classList.add('drag-over');
-            });
-        });
+        ['dragenter', 'dragover'].forEach(eventName => {
+            dropZone.addEventListener(eventName, (e) => {
+                if (Array.from(e.dataTransfer.types).includes('Files')) {
+                    dropZone.classList.add('drag-over');
+                }
+            });
+        });
+
+        ['dragleave', 'drop'].forEach(eventName => {
+            dropZone.addEventListener(eventName, () => {
+                dropZone.classList.remove('drag-over');
+            });
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            const files = Array.from(e.dataTransfer.files);
+            if (files.length > 0) this.processFiles(files);
+        });
+    }
+
+    setupPlaylistManagement() {
+        const exportBtn = document.getElementById('exportPlaylist');
+        const importBtn = document.getElementById('importPlaylist');
+        const editSelectedBtn = document.getElementById('editSelected');
+        const importInput = document.getElementById('importPlaylistInput');
+        const clearBtn = document.getElementById('clearAll');
+        const playlistSelect = document.getElementById('playlistSelect');
+        const newPlaylistBtn = document.getElementById('newPlaylist');
+        const renamePlaylistBtn = document.getElementById('renamePlaylist');
+        const deletePlaylistBtn = document.getElementById('deletePlaylist');
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showExportMenu(e.currentTarget);
+            });
+        }
+        if (editSelectedBtn) editSelectedBtn.addEventListener('click', () => this.openSongEditor(this.getSelectedTracks()));
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.importPlaylist(file);
+            });
+        }
+        if (clearBtn) clearBtn.addEventListener('click', () => this.clearAllSongs());
+        if (playlistSelect) {
+            playlistSelect.addEventListener('change', (e) => this.switchPlaylist(this.parsePlaylistId(e.target.value)));
+        }
+        if (newPlaylistBtn) newPlaylistBtn.addEventListener('click', () => this.createPlaylist());
+        if (renamePlaylistBtn) renamePlaylistBtn.addEventListener('click', () => this.renamePlaylist());
+        if (deletePlaylistBtn) deletePlaylistBtn.addEventListener('click', () => this.deletePlaylist());
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.context-menu')) this.closeContextMenu();
+        });
+    }
+
+    getActivePlaylist() {
+        return this.playlists.find(playlist => playlist.id === this.activePlaylistId) || null;
+    }
+
+    isAutoPlaylist(id) {
+        return AUTO_PLAYLISTS.some(playlist => playlist.id === id);
+    }
+
+    parsePlaylistId(value) {
+        return this.isAutoPlaylist(value) ? value : parseInt(value) || null;
+    }
+
+    async loadRecentlyAdded() {
+        try {
+            this.recentlyAddedIds = await this.storage.getRecentSongIds(AUTO_PLAYLIST_SIZE);
+        } catch (error) {
+            console.error('Failed to load recently added songs:', error);
+        }
+    }
+
+    getAutoPlaylistTracks(id) {
+        switch (id) {
+            case 'auto:most-played':
+                return this.library
+                    .filter(track => track.playCount > 0)
+                    .sort((a, b) => b.playCount - a.playCount || (b.lastPlayed || '').localeCompare(a.lastPlayed || ''))
+                    .slice(0, AUTO_PLAYLIST_SIZE);
+            case 'auto:never-played':
+                return this.library.filter(track => !track.playCount);
+            case 'auto:recently-added':
+                return this.recentlyAddedIds.map(songId => this.library.find(track => track.id === songId)).filter(Boolean);
+            default:
+                return [];
+        }
+    }
+
+    getActiveTracks() {
+        const activePlaylist = this.getActivePlaylist();
+        let tracks;
+        if (activePlaylist) {
+            tracks = activePlaylist.songIds.map(id => this.library.find(track => track.id === id)).filter(Boolean);
+        } else if (this.isAutoPlaylist(this.activePlaylistId)) {
+            tracks = this.getAutoPlaylistTracks(this.activePlaylistId);
+        } else {
+            tracks = this.library.slice();
+        }
+
+        return LIBRARY_SORTS[this.sortBy] && !this.isAutoPlaylist(this.activePlaylistId) ? this.sortTracks(tracks) : tracks;
+    }
+
+    sortTracks(tracks) {
+        const ranks = this.sortRanks;
+        const rankOf = track => (ranks.has(track.id) ? ranks.get(track.id) : ranks.size);
+        return tracks.sort((a, b) => rankOf(a) - rankOf(b));
+    }
+
+    async loadSortOrder() {
+        const sort = LIBRARY_SORTS[this.sortBy];
+        const request = ++this.sortRequest;
+        if (!sort) {
+            this.sortRanks = new Map();
+            return;
+        }
+        try {
+            const ids = await this.storage.getSortedIds(sort.index, sort.direction);
+            if (request === this.sortRequest) this.sortRanks = new Map(ids.map((id, rank) => [id, rank]));
+        } catch (error) {
+            console.error('Failed to load sort order:', error);
+        }
+    }
+
+    // Rebuilds this.playlist from the library while keeping the current track selected
+    refreshActivePlaylist() {
+        const currentTrack = this.playlist[this.currentTrackIndex];
+        this.playlist = this.getActiveTracks();
+        this.currentTrackIndex = this.playlist.indexOf(currentTrack);
+        return this.currentTrackIndex !== -1;
+    }
+
+    updatePlaylistSelector() {
+        const playlistSelect = document.getElementById('playlistSelect');
+        if (!playlistSelect) return;
+
+        playlistSelect.innerHTML = '<option value="">My Library</option>' + this.playlists
+            .map(playlist => `<option value="${playlist.id}">${this.escapeHtml(playlist.name)}</option>`)
+            .join('') +
+            `<optgroup label="Smart playlists">${AUTO_PLAYLISTS
+                .map(playlist => `<option value="${playlist.id}">${playlist.name}</option>`)
+                .join('')}</optgroup>`;
+        playlistSelect.value = this.activePlaylistId || '';
+
+        const isEditable = !!this.getActivePlaylist();
+        ['renamePlaylist', 'deletePlaylist'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = !isEditable;
+        });
+    }
+
+    switchPlaylist(id) {
+        this.activePlaylistId = id;
+        this.clearSelection();
+        if (id) {
+            localStorage.setItem('activePlaylist', id);
+        } else {
+            localStorage.removeItem('activePlaylist');
+        }
+
+        const hasCurrentTrack = this.refreshActivePlaylist();
+        this.updatePlaylistSelector();
+
+        if (!hasCurrentTrack && !this.isPlaying) {
+            if (this.playlist.length > 0) {
+                this.currentTrackIndex = 0;
+                this.loadTrack(0);
+            } else {
+                this.resetPlayer();
+            }
+        }
+
+        this.updatePlaylistDisplay();
+    }
+
+    async createPlaylist(songIds = []) {
+        const name = prompt('Playlist name:', `Playlist ${this.playlists.length + 1}`);
+        if (!name || !name.trim()) return null;
+
+        try {
+            const playlist = { name: name.trim(), songIds };
+            playlist.id = await this.storage.savePlaylist(playlist);
+            this.playlists.push(playlist);
+            this.updatePlaylistSelector();
+            this.showNotification(`Created playlist "${playlist.name}"`, 'success');
+            return playlist;
+        } catch (error) {
+            console.error('Failed to create playlist:', error);
+            this.showNotification('Failed to create playlist', 'error');
+            return null;
+        }
+    }
+
+    async renamePlaylist() {
+        const playlist = this.getActivePlaylist();
+        if (!playlist) return;
+
+        const name = prompt('Rename playlist:', playlist.name);
+        if (!name || !name.trim()) return;
+
+        try {
+            playlist.name = name.trim();
+            await this.storage.savePlaylist(playlist);
+            this.updatePlaylistSelector();
+            this.showNotification('Playlist renamed', 'success');
+        } catch (error) {
+            console.error('Failed to rename playlist:', error);
+            this.showNotification('Failed to rename playlist', 'error');
+        }
+    }
+
+    async deletePlaylist() {
+        const playlist = this.getActivePlaylist();
+        if (!playlist) return;
+
+        if (!confirm(`Delete the playlist "${playlist.name}"? The songs stay in your library.`)) {
+            return;
+        }
+
+        try {
+            await this.storage.deletePlaylist(playlist.id);
+            this.playlists = this.playlists.filter(p => p !== playlist);
+            this.switchPlaylist(null);
+            this.showNotification('Playlist deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete playlist:', error);
+            this.showNotification('Failed to delete playlist', 'error');
+        }
+    }
+
+    async addToPlaylist(playlist, track) {
+        if (playlist.songIds.includes(track.id)) {
+            this.showNotification(`Already in "${playlist.name}"`, 'info');
+            return;
+        }
+
+        try {
+            playlist.songIds = [...playlist.songIds, track.id];
+            await this.storage.savePlaylist(playlist);
+            if (playlist.id === this.activePlaylistId) {
+                this.refreshActivePlaylist();
+                this.updatePlaylistDisplay();
+            }
+            this.showNotification(`Added to "${playlist.name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to add to playlist:', error);
+            this.showNotification('Failed to add to playlist', 'error');
+        }
+    }
+
+    async removeFromPlaylist(index) {
+        const playlist = this.getActivePlaylist();
+        const track = this.playlist[index];
+        if (!playlist || !track) return;
+
+        // A song can be in a playlist more than once; only the clicked row goes
+        const occurrence = this.playlist.slice(0, index).filter(item => item === track).length;
+        let seen = -1;
+        const position = playlist.songIds.findIndex(id => id === track.id && ++seen === occurrence);
+
+        try {
+            playlist.songIds = playlist.songIds.filter((id, songIndex) => songIndex !== position);
+            await this.storage.savePlaylist(playlist);
+            this.playlist.splice(index, 1);
+
+            if (index < this.currentTrackIndex) {
+                this.currentTrackIndex--;
+            } else if (index === this.currentTrackIndex && !this.isPlaying) {
+                if (this.playlist.length > 0) {
+                    this.currentTrackIndex = Math.min(index, this.playlist.length - 1);
+                    this.loadTrack(this.currentTrackIndex);
+                } else {
+                    this.resetPlayer();
+                }
+            } else if (index === this.currentTrackIndex) {
+                // Keeps playing detached from the list; next and previous go on from where it was
+                this.queueTrack = track;
+                this.currentTrackIndex = index - 1;
+            }
+
+            this.updatePlaylistDisplay();
+            this.showNotification(`Removed from "${playlist.name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to remove from playlist:', error);
+            this.showNotification('Failed to remove from playlist', 'error');
+        }
+    }
+
+    showTrackMenu(track, anchor) {
+        this.closeContextMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.innerHTML = `
+            <button data-action="play-next"><i class="fas fa-level-up-alt"></i> Play next</button>
+            <button data-action="add-to-queue"><i class="fas fa-stream"></i> Add to queue</button>
+            <button data-action="edit"><i class="fas fa-edit"></i> Edit info…</button>
+            <div class="context-menu-label">Add to playlist</div>
+        ` + this.playlists
+            .map(playlist => `<button data-playlist-id="${playlist.id}"><i class="fas fa-list"></i> ${this.escapeHtml(playlist.name)}</button>`)
+            .join('') + '<button data-playlist-id="new"><i class="fas fa-plus"></i> New playlist…</button>';
+
+        menu.addEventListener('click', async (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            e.stopPropagation();
+            this.closeContextMenu();
+
+            if (button.dataset.action === 'play-next') {
+                this.playNext(track);
+            } else if (button.dataset.action === 'add-to-queue') {
+                this.addToQueue(track);
+            } else if (button.dataset.action === 'edit') {
+                this.openSongEditor(this.selectedIds.has(track.id) ? this.getSelectedTracks() : [track]);
+            } else if (button.dataset.playlistId === 'new') {
+                const playlist = await this.createPlaylist();
+                if (playlist) await this.addToPlaylist(playlist, track);
+            } else {
+                const playlist = this.playlists.find(p => p.id === parseInt(button.dataset.playlistId));
+                if (playlist) await this.addToPlaylist(playlist, track);
+            }
+        });
+
+        const rect = anchor.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${Math.max(8, rect.right - 180)}px`;
+        document.body.appendChild(menu);
+    }
+
+    showExportMenu(anchor) {
+        this.closeContextMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.innerHTML = `
+            <div class="context-menu-label">Export as</div>
+            <button data-format="m3u8"><i class="fas fa-file-audio"></i> M3U8</button>
+            <button data-format="pls"><i class="fas fa-file-alt"></i> PLS</button>
+            <button data-format="xspf"><i class="fas fa-file-code"></i> XSPF</button>
+            <button data-format="json"><i class="fas fa-file"></i> JSON</button>
+        `;
+
+        menu.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            e.stopPropagation();
+            this.closeContextMenu();
+            this.exportPlaylist(button.dataset.format);
+        });
+
+        const rect = anchor.getBoundingClientRect();
+        menu.style.top = `${rect.bottom + 4}px`;
+        menu.style.left = `${Math.max(8, rect.right - 180)}px`;
+        document.body.appendChild(menu);
+    }
+
+    closeContextMenu() {
+        document.querySelectorAll('.context-menu').forEach(menu => menu.remove());
+    }
+
+    setupBrowse() {
+        const browseTabs = document.getElementById('browseTabs');
+        if (!browseTabs || !this.browseView) return;
+
+        browseTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.browse-tab');
+            if (tab) this.setBrowseTab(tab.dataset.tab);
+        });
+
+        this.browseView.addEventListener('click', (e) => {
+            const back = e.target.closest('[data-action="back"]');
+            const action = e.target.closest('[data-action="play"], [data-action="enqueue"]');
+            const group = e.target.closest('[data-group]');
+            const trackRow = e.target.closest('[data-track]');
+
+            if (back) {
+                this.browsePath.pop();
+                this.renderBrowseView();
+            } else if (action) {
+                e.stopPropagation();
+                const tracks = action.dataset.group !== undefined
+                    ? this.browseGroups[parseInt(action.dataset.group)].tracks
+                    : this.browseTracks;
+                if (action.dataset.action === 'play') {
+                    this.playTracks(tracks);
+                } else {
+                    this.enqueueTracks(tracks);
+                }
+            } else if (group) {
+                const selected = this.browseGroups[parseInt(group.dataset.group)];
+                this.browsePath.push({
+                    type: selected.type,
+                    key: selected.key,
+                    label: selected.label,
+                    albumArtist: selected.albumArtist
+                });
+                this.browseView.scrollTop = 0;
+                this.renderBrowseView();
+            } else if (trackRow) {
+                this.playTracks(this.browseTracks.slice(parseInt(trackRow.dataset.track)));
+            }
+        });
+    }
+
+    setBrowseTab(tab) {
+        this.browseTab = tab;
+        this.browsePath = [];
+        document.querySelectorAll('.browse-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+
+        const isSongs = tab === 'songs';
+        document.querySelector('.search-container').style.display = isSongs ? '' : 'none';
+        this.playlistContainer.style.display = isSongs ? '' : 'none';
+        this.browseView.style.display = isSongs ? 'none' : 'block';
+
+        if (isSongs) {
+            this.browseUrls.releaseUnused(new Set());
+            this.renderPlaylistWindow();
+        } else {
+            this.renderBrowseView();
+        }
+    }
+
+    // Top-level groups are kept until the library changes
+    getBrowseGroups(field, tracks = null) {
+        if (tracks) return this.readBrowseGroups(field, tracks);
+        if (!this.browseGroupCache.has(field)) {
+            this.browseGroupCache.set(field, this.readBrowseGroups(field).catch(error => {
+                this.browseGroupCache.delete(field);
+                throw error;
+            }));
+        }
+        return this.browseGroupCache.get(field);
+    }
+
+    getAlbumArtist(track) {
+        return track.albumArtist || track.artist;
+    }
+
+    async readBrowseGroups(field, tracks = null) {
+        const byId = new Map(this.library.map(track => [track.id, track]));
+        let groups = [];
+        const grouped = new Set();
+
+        if (tracks) {
+            tracks.forEach(track => {
+                const key = track[field];
+                if (key === undefined || key === null || key === '') return;
+                let group = groups.find(item => item.key === key);
+                if (!group) {
+                    group = { key, tracks: [] };
+                    groups.push(group);
+                }
+                group.tracks.push(track);
+                grouped.add(track);
+            });
+        } else {
+            const ids = await this.storage.getGroupedIds(field);
+            ids.forEach((songIds, key) => {
+                const groupTracks = songIds.map(id => byId.get(id)).filter(Boolean);
+                if (groupTracks.length === 0 || key === '') return;
+                groups.push({ key, tracks: groupTracks });
+                groupTracks.forEach(track => grouped.add(track));
+            });
+        }
+
+        // Albums with the same name by different artists are kept apart
+        if (field === 'album') {
+            groups = groups.flatMap(group => {
+                const byArtist = new Map();
+                group.tracks.forEach(track => {
+                    const albumArtist = this.getAlbumArtist(track);
+                    if (!byArtist.has(albumArtist)) byArtist.set(albumArtist, []);
+                    byArtist.get(albumArtist).push(track);
+                });
+                return [...byArtist].map(([albumArtist, artistTracks]) => ({ key: group.key, albumArtist, tracks: artistTracks }));
+            });
+        }
+
+        const labels = { album: 'Unknown Album', artist: 'Unknown Artist', genre: 'Unknown Genre' };
+        const ungrouped = (tracks || this.library).filter(track => !grouped.has(track));
+        if (ungrouped.length > 0) groups.push({ key: null, tracks: ungrouped });
+
+        return groups
+            .map(group => ({ ...group, type: field, label: group.key === null ? labels[field] : String(group.key) }))
+            .sort((a, b) => (a.key === null) - (b.key === null) ||
+                TEXT_COLLATOR.compare(a.label, b.label) ||
+                TEXT_COLLATOR.compare(a.albumArtist || '', b.albumArtist || ''));
+    }
+
+    getPathTracks() {
+        return this.library.filter(track => this.browsePath.every(step => {
+            const value = track[step.type];
+            if (step.albumArtist !== undefined && this.getAlbumArtist(track) !== step.albumArtist) return false;
+            return step.key === null ? (value === undefined || value === null || value === '') : value === step.key;
+        }));
+    }
+
+    sortAlbumTracks(tracks) {
+        return tracks.slice().sort((a, b) =>
+            TEXT_COLLATOR.compare(a.album || '', b.album || '') ||
+            (a.trackNumber || 0) - (b.trackNumber || 0) ||
+            TEXT_COLLATOR.compare(a.title || '', b.title || '')
+        );
+    }
+
+    async renderBrowseView() {
+        const renderId = ++this.browseRenderId;
+        const depth = this.browsePath.length;
+        const last = this.browsePath[depth - 1];
+        let groups = null;
+        let tracks = null;
+
+        try {
+            if (depth === 0) {
+                groups = await this.getBrowseGroups(this.browseTab);
+            } else if (this.browseTab === 'artist' && depth === 1) {
+                groups = await this.getBrowseGroups('album', this.getPathTracks());
+            } else {
+                tracks = this.sortAlbumTracks(this.getPathTracks());
+            }
+        } catch (error) {
+            console.error('Failed to load browse view:', error);
+            this.showNotification('Failed to load browse view', 'error');
+            return;
+        }
+
+        // A newer render started while this one was waiting on IndexedDB
+        if (renderId !== this.browseRenderId) return;
+
+        this.browseGroups = groups || [];
+        this.browseTracks = tracks || [];
+
+        const header = last ? `
+            <div class="browse-header">
+                <button class="mgmt-btn" data-action="back" title="Back"><i class="fas fa-arrow-left"></i></button>
+                <span class="browse-title">${this.escapeHtml(last.label)}</span>
+                <button class="mgmt-btn" data-action="play" title="Play All"><i class="fas fa-play"></i></button>
+                <button class="mgmt-btn" data-action="enqueue" title="Add All to Queue"><i class="fas fa-stream"></i></button>
+            </div>
+        ` : '';
+
+        const coverUrls = new Set();
+        let body;
+        if (tracks) {
+            body = tracks.length ? `<div class="browse-tracks">${tracks.map((track, index) => `
+                <div class="browse-track ${track === this.getCurrentTrack() ? 'active' : ''}" data-track="${index}">
+                    <span class="browse-track-number">${track.trackNumber || ''}</span>
+                    <div class="track-details">
+                        <span class="track-name">${this.escapeHtml(track.title)}</span>
+                        <span class="track-artist">${this.escapeHtml(track.artist)}</span>
+                    </div>
+                    <span class="track-duration">${track.duration ? this.formatTime(track.duration) : '--:--'}</span>
+                </div>
+            `).join('')}</div>` : '';
+        } else if (this.browseGroups.length === 0) {
+            body = '';
+        } else if (this.browseGroups[0].type === 'album') {
+            body = `<div class="album-grid">${this.browseGroups.map((group, index) => {
+                const coverTrack = group.tracks.find(track => track.coverBlob) || group.tracks[0];
+                const artists = new Set(group.tracks.map(track => track.artist));
+                const artist = group.albumArtist || (artists.size === 1 ? group.tracks[0].artist : 'Various Artists');
+                const coverUrl = coverTrack.coverBlob
+                    ? this.browseUrls.get(coverTrack.id, coverTrack.coverBlob)
+                    : this.getCoverUrl(coverTrack);
+                coverUrls.add(coverUrl);
+                return `
+                    <div class="album-tile" data-group="${index}" title="${this.escapeHtml(group.label)}">
+                        <div class="album-tile-cover">
+                            <img src="${coverUrl}" alt="" loading="lazy">
+                            <div class="album-tile-actions">
+                                <button data-action="play" data-group="${index}" title="Play"><i class="fas fa-play"></i></button>
+                                <button data-action="enqueue" data-group="${index}" title="Add to Queue"><i class="fas fa-stream"></i></button>
+                            </div>
+                        </div>
+                        <span class="track-name">${this.escapeHtml(group.label)}</span>
+                        <span class="track-artist">${this.escapeHtml(artist)}</span>
+                    </div>
+                `;
+            }).join('')}</div>`;
+        } else {
+            body = `<div class="browse-list">${this.browseGroups.map((group, index) => `
+                <div class="browse-row" data-group="${index}">
+                    <i class="fas ${group.type === 'artist' ? 'fa-user' : 'fa-tag'}"></i>
+                    <div class="track-details">
+                        <span class="track-name">${this.escapeHtml(group.label)}</span>
+                        <span class="track-artist">${group.tracks.length} song(s)</span>
+                    </div>
+                    <button class="mgmt-btn" data-action="play" data-group="${index}" title="Play"><i class="fas fa-play"></i></button>
+                    <button class="mgmt-btn" data-action="enqueue" data-group="${index}" title="Add to Queue"><i class="fas fa-stream"></i></button>
+                </div>
+            `).join('')}</div>`;
+        }
+
+        this.browseView.innerHTML = header + (body || '<div class="browse-empty">Nothing here yet</div>');
+        this.browseUrls.releaseUnused(coverUrls);
+    }
+
+    playTracks(tracks) {
+        const playable = tracks.filter(track => track.id !== undefined);
+        if (playable.length === 0) return;
+
+        const [first, ...rest] = playable;
+        this.queue = [...rest.map(track => track.id), ...this.queue];
+        this.saveQueue();
+        this.loadQueueTrack(first);
+        this.play();
+    }
+
+    enqueueTracks(tracks) {
+        const ids = tracks.filter(track => track.id !== undefined).map(track => track.id);
+        if (ids.length === 0) return;
+
+        this.queue.push(...ids);
+        this.saveQueue();
+        this.showNotification(`Added ${ids.length} song(s) to the queue`, 'success');
+    }
+
+    setupQueue() {
+        const toggleBtn = document.getElementById('toggleQueue');
+        const clearBtn = document.getElementById('clearQueue');
+        const queueList = document.getElementById('queueList');
+        const queuePanel = document.getElementById('queuePanel');
+
+        if (toggleBtn && queuePanel) {
+            toggleBtn.addEventListener('click', () => {
+                const isHidden = queuePanel.style.display === 'none';
+                queuePanel.style.display = isHidden ? 'block' : 'none';
+                toggleBtn.classList.toggle('active', isHidden);
+            });
+        }
+
+        if (clearBtn) clearBtn.addEventListener('click', () => this.clearQueue());
+        if (!queueList) return;
+
+        queueList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.queue-remove');
+            if (removeBtn) {
+                this.removeFromQueue(parseInt(removeBtn.dataset.index));
+            }
+        });
+
+        queueList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.queue-item');
+            if (!item) return;
+            this.draggedQueueIndex = parseInt(item.dataset.index);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.index);
+            item.classList.add('dragging');
+        });
+
+        queueList.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.queue-item');
+            if (!item || this.draggedQueueIndex === undefined) return;
+            queueList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+            item.classList.add('drop-target');
+        });
+
+        queueList.addEventListener('drop', (e) => {
+            const item = e.target.closest('.queue-item');
+            if (item && this.draggedQueueIndex !== undefined) {
+                e.stopPropagation();
+                this.moveInQueue(this.draggedQueueIndex, parseInt(item.dataset.index));
+            }
+        });
+
+        queueList.addEventListener('dragend', () => {
+            this.draggedQueueIndex = undefined;
+            this.updateQueueDisplay();
+        });
+    }
+
+    playNext(track) {
+        this.queue.unshift(track.id);
+        this.saveQueue();
+        this.showNotification(`"${track.title}" will play next`, 'success');
+    }
+
+    addToQueue(track) {
+        this.queue.push(track.id);
+        this.saveQueue();
+        this.showNotification(`Added "${track.title}" to the queue`, 'success');
+    }
+
+    removeFromQueue(index) {
+        this.queue.splice(index, 1);
+        this.saveQueue();
+    }
+
+    moveInQueue(from, to) {
+        if (from === to) return;
+        const [id] = this.queue.splice(from, 1);
+        this.queue.splice(to, 0, id);
+        this.saveQueue();
+    }
+
+    clearQueue() {
+        this.queue = [];
+        this.saveQueue();
+    }
+
+    takeFromQueue() {
+        while (this.queue.length > 0) {
+            const id = this.queue.shift();
+            const track = this.library.find(t => t.id === id);
+            if (track) {
+                this.saveQueue();
+                return track;
+            }
+        }
+        return null;
+    }
+
+    saveQueue() {
+        this.updateQueueDisplay();
+        this.preloadNextTrack();
+        this.storage.setState('queue', this.queue).catch(error => {
+            console.error('Failed to save queue:', error);
+        });
+    }
+
+    updateQueueDisplay() {
+        const queueList = document.getElementById('queueList');
+        const queueCount = document.getElementById('queueCount');
+        if (queueCount) {
+            queueCount.textContent = this.queue.length;
+            queueCount.style.display = this.queue.length ? 'flex' : 'none';
+        }
+        if (!queueList) return;
+
+        if (this.queue.length === 0) {
+            queueList.innerHTML = '<div class="queue-empty">Nothing queued. Use "Play next" or "Add to queue" on any song.</div>';
+            return;
+        }
+
+        queueList.innerHTML = this.queue.map((id, index) => {
+            const track = this.library.find(t => t.id === id);
+            if (!track) return '';
+            return `
+                <div class="queue-item" draggable="true" data-index="${index}">
+                    <i class="fas fa-grip-lines queue-handle"></i>
+                    <div class="track-details">
+                        <span class="track-name">${this.escapeHtml(track.title)}</span>
+                        <span class="track-artist">${this.escapeHtml(track.artist)}</span>
+                    </div>
+                    <button class="queue-remove" data-index="${index}" title="Remove from Queue"><i class="fas fa-times"></i></button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    getCurrentTrack() {
+        return this.queueTrack || this.playlist[this.currentTrackIndex] || null;
+    }
+
+    loadSampleTrack() {
+        const sampleTrack = {
+            title: 'Welcome to AYUSH\'S Player',
+            artist: 'Sample Track',
+            src: '',
+            albumArt: './attached_assets/icon_1753919744489.png'
+        };
+        
+        this.playlist = [sampleTrack];
+        this.loadTrack(0);
+        this.updatePlaylistDisplay();
+    }
+
+    async handleFileUpload(e) {
+        const files = Array.from(e.target.files);
+        await this.processFiles(files);
+        e.target.value = '';
+    }
+
+    async processFiles(files) {
+        const audioFiles = files.filter(file => file.type.startsWith('audio/'));
+        const lyricsFiles = files.filter(file => /\.lrc$/i.test(file.name));
+        
+        if (audioFiles.length === 0) {
+            if (lyricsFiles.length > 0) {
+                await this.attachLyricsFiles(lyricsFiles);
+            } else {
+                this.showNotification('No audio files found', 'error');
+            }
+            return;
+        }
+
+        const baseNames = new Set(audioFiles.map(file => this.baseName(file.name)));
+        const unpairedLyrics = lyricsFiles.filter(file => !baseNames.has(this.baseName(file.name)));
+        if (unpairedLyrics.length > 0) await this.attachLyricsFiles(unpairedLyrics);
+
+        if (!(await this.checkStorageForImport(audioFiles))) return;
+
+        const entries = audioFiles.map(file => ({ file, status: 'queued' }));
+        if (this.importJob && !this.importJob.cancelled) {
+            this.importJob.entries.push(...entries);
+            this.importJob.lyricsFiles.push(...lyricsFiles);
+            this.appendImportRows(entries);
+            this.updateImportPanel(this.importJob);
+            return;
+        }
+
+        const job = {
+            cancelled: false,
+            quotaExceeded: false,
+            entries,
+            lyricsFiles,
+            hashes: new Set(),
+            addedIds: [],
+            replaced: 0
+        };
+        this.importJob = job;
+        this.showImportPanel(job);
+
+        try {
+            await this.runImport(job);
+        } finally {
+            job.entries
+                .filter(entry => !IMPORT_FINISHED_STATUSES.includes(entry.status))
+                .forEach(entry => this.setImportStatus(entry, 'cancelled', 'Cancelled'));
+            if (this.importJob === job) this.importJob = null;
+            this.updateImportPanel(job);
+        }
+    }
+
+    async runImport(job) {
+        let pending;
+        while (!job.cancelled && (pending = job.entries.filter(entry => !entry.started)).length > 0) {
+            pending.forEach(entry => {
+                entry.started = true;
+            });
+            await this.importEntries(job, pending);
+        }
+        // Files dropped from here on start an import of their own
+        if (this.importJob === job) this.importJob = null;
+        this.updateImportPanel(job);
+        const { addedIds, replaced } = job;
+
+        const activePlaylist = this.getActivePlaylist();
+        if (activePlaylist && addedIds.length > 0) {
+            try {
+                activePlaylist.songIds = [...activePlaylist.songIds, ...addedIds];
+                await this.storage.savePlaylist(activePlaylist);
+            } catch (error) {
+                console.error('Failed to update playlist:', error);
+            }
+        }
+
+        this.invalidateSearch();
+        await this.loadRecentlyAdded();
+        await this.loadSortOrder();
+        if (!this.refreshActivePlaylist() && !this.isPlaying && this.playlist.length > 0) {
+            this.currentTrackIndex = 0;
+            this.loadTrack(0);
+        }
+        
+        this.updatePlaylistDisplay();
+        this.renderStorageDashboard();
+
+        if (job.quotaExceeded) {
+            this.showNotification(
+                `Storage is full. Added ${addedIds.length} song(s); free up space to import the rest.`,
+                'error'
+            );
+            return;
+        }
+
+        const skipped = job.entries.filter(entry => entry.status === 'skipped').length;
+        let summary = `Added ${addedIds.length} song(s) to your library`;
+        if (replaced > 0) summary += `, replaced ${replaced}`;
+        if (skipped > 0) summary += `, skipped ${skipped} duplicate(s)`;
+        if (job.cancelled) summary = `Import cancelled. ${summary}`;
+        this.showNotification(summary, 'success');
+    }
+
+    // Reads and hashes files a few at a time, asks about duplicates, analyzes the rest and then
+    // saves them one by one so a full disk stops the import at the first song that doesn't fit
+    async importEntries(job, pending) {
+        await runWithConcurrency(pending, IMPORT_READ_CONCURRENCY, async (entry) => {
+            if (job.cancelled) return;
+            this.setImportStatus(entry, 'reading', 'Reading tags');
+            try {
+                entry.contentHash = await this.hashBlob(entry.file);
+                if (entry.contentHash && job.hashes.has(entry.contentHash)) {
+                    this.setImportStatus(entry, 'skipped', 'Repeated in this import');
+                    return;
+                }
+                if (entry.contentHash) job.hashes.add(entry.contentHash);
+
+                entry.existingId = entry.contentHash
+                    ? await this.storage.getSongIdByHash(entry.contentHash)
+                    : undefined;
+                entry.tags = await this.metadataReader.read(entry.file);
+                entry.lyrics = await this.readMatchingLyrics(entry.file, job.lyricsFiles) || entry.tags.lyrics;
+                this.setImportStatus(entry, 'queued', entry.existingId !== undefined ? 'Already in library' : 'Waiting');
+            } catch (error) {
+                console.error(`Failed to read ${entry.file.name}:`, error);
+                this.setImportStatus(entry, 'failed', 'Could not read file');
+            }
+        });
+        if (job.cancelled) return;
+
+        let entries = pending.filter(entry => entry.status === 'queued');
+        const duplicates = entries.filter(entry => entry.existingId !== undefined);
+        let duplicateAction = 'skip';
+        if (duplicates.length > 0) {
+            duplicateAction = await this.askDuplicateAction(duplicates.map(entry => entry.file.name)) || 'skip';
+            if (duplicateAction === 'skip') {
+                duplicates.forEach(entry => this.setImportStatus(entry, 'skipped', 'Already in library'));
+                entries = entries.filter(entry => entry.existingId === undefined);
+            }
+        }
+
+        entries.sort((a, b) =>
+            (a.tags.album || '').localeCompare(b.tags.album || '') ||
+            (a.tags.trackNumber || 0) - (b.tags.trackNumber || 0)
+        );
+
+        await runWithConcurrency(entries, IMPORT_ANALYZE_CONCURRENCY, async (entry) => {
+            if (job.cancelled) return;
+            this.setImportStatus(entry, 'analyzing', 'Analyzing audio');
+            try {
+                entry.analysis = await this.audioAnalyzer.analyze(entry.file, () => job.cancelled);
+            } catch (error) {
+                console.error(`Failed to analyze ${entry.file.name}:`, error);
+                entry.analysis = null;
+            }
+            if (job.cancelled) return;
+            this.setImportStatus(entry, 'queued', 'Ready to save');
+        });
+        if (job.cancelled) return;
+
+        this.computeReplayGain(entries);
+
+        for (const entry of entries) {
+            if (job.cancelled) break;
+            const { file, tags, lyrics, replayGain, analysis, contentHash, existingId } = entry;
+            this.setImportStatus(entry, 'saving', 'Saving');
+            try {
+                const audioBlob = new Blob([file], { type: file.type });
+                const coverBlob = tags.picture
+                    ? new Blob([tags.picture.data], { type: tags.picture.mime })
+                    : null;
+                const songData = {
+                    title: tags.title || file.name.replace(/\.[^/.]+$/, ""),
+                    fileName: file.name,
+                    dateAdded: new Date().toISOString(),
+                    artist: tags.artist || 'Unknown Artist',
+                    album: tags.album,
+                    albumArtist: tags.albumArtist,
+                    trackNumber: tags.trackNumber,
+                    year: tags.year,
+                    genre: tags.genre,
+                    audioBlob: audioBlob,
+                    coverBlob: coverBlob,
+                    albumArt: './attached_assets/icon_1753919744489.png',
+                    duration: analysis ? analysis.duration : 0,
+                    fileSize: file.size,
+                    replayGain: replayGain,
+                    waveform: analysis ? analysis.waveform : null,
+                    waveformError: !analysis,
+                    lyrics: lyrics || '',
+                    contentHash
+                };
+
+                if (existingId !== undefined && duplicateAction === 'replace') {
+                    // Keeps the id, date added and play history so playlists still point at the song
+                    const { dateAdded, ...changes } = songData;
+                    await this.storage.updateSong(existingId, changes);
+                    const existing = this.library.find(track => track.id === existingId);
+                    if (existing) Object.assign(existing, changes);
+                    job.replaced++;
+                    this.setImportStatus(entry, 'done', 'Replaced');
+                    continue;
+                }
+
+                const id = await this.storage.saveSong(songData);
+                this.library.push({ ...songData, id: id });
+                job.addedIds.push(id);
+                this.setImportStatus(entry, 'done', 'Added');
+            } catch (error) {
+                console.error('Failed to save song:', error);
+                if (error && error.name === 'QuotaExceededError') {
+                    this.setImportStatus(entry, 'failed', 'Storage is full');
+                    job.quotaExceeded = true;
+                    job.cancelled = true;
+                } else {
+                    this.setImportStatus(entry, 'failed', 'Could not save');
+                }
+            }
+        }
+    }
+
+    async checkStorageForImport(files) {
+        if (!navigator.storage || !navigator.storage.estimate) return true;
+
+        try {
+            if (navigator.storage.persist && !(await navigator.storage.persisted())) {
+                await navigator.storage.persist();
+            }
+
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            const needed = files.reduce((total, file) => total + file.size, 0);
+            if (quota > 0 && usage + needed > quota) {
+                return confirm(
+                    `These files need ${formatBytes(needed)} but only ${formatBytes(Math.max(0, quota - usage))} ` +
+                    `of storage is free. Some songs won't be imported. Continue anyway?`
+                );
+            }
+        } catch (error) {
+            console.error('Failed to check storage:', error);
+        }
+        return true;
+    }
+
+    baseName(fileName) {
+        return fileName.replace(/\.[^/.]+$/, '').toLowerCase();
+    }
+
+    async readMatchingLyrics(file, lyricsFiles) {
+        const lyricsFile = lyricsFiles.find(candidate => this.baseName(candidate.name) === this.baseName(file.name));
+        if (!lyricsFile) return null;
+        try {
+            return await lyricsFile.text();
+        } catch (error) {
+            console.error(`Failed to read ${lyricsFile.name}:`, error);
+            return null;
+        }
+    }
+
+    async attachLyricsFiles(lyricsFiles) {
+        let attached = 0;
+        for (const lyricsFile of lyricsFiles) {
+            const name = this.baseName(lyricsFile.name);
+            const track = this.library.find(song =>
+                (song.fileName && this.baseName(song.fileName) === name) || song.title.toLowerCase() === name
+            );
+            if (!track) continue;
+            try {
+                await this.saveLyrics(track, await lyricsFile.text());
+                attached++;
+            } catch (error) {
+                console.error(`Failed to attach ${lyricsFile.name}:`, error);
+            }
+        }
+
+        if (attached === 0) {
+            this.showNotification('No matching songs found for these lyrics', 'error');
+        } else {
+            this.showNotification(`Added lyrics to ${attached} song(s)`, 'success');
+        }
+    }
+
+    setupImportPanel() {
+        const cancelBtn = document.getElementById('importCancel');
+        const panel = document.getElementById('importPanel');
+
+        if (cancelBtn && panel) {
+            cancelBtn.addEventListener('click', () => {
+                if (this.importJob) {
+                    this.importJob.cancelled = true;
+                    this.updateImportPanel(this.importJob);
+                } else {
+                    panel.style.display = 'none';
+                }
+            });
+        }
+    }
+
+    showImportPanel(job) {
+        const panel = document.getElementById('importPanel');
+        const list = document.getElementById('importList');
+        if (!panel || !list) return;
+
+        list.innerHTML = '';
+        this.appendImportRows(job.entries);
+        panel.style.display = 'block';
+        this.updateImportPanel(job);
+    }
+
+    appendImportRows(entries) {
+        const list = document.getElementById('importList');
+        if (!list) return;
+
+        const offset = list.children.length;
+        list.insertAdjacentHTML('beforeend', entries.map(entry => `
+            <div class="import-row">
+                <i class="fas ${IMPORT_STATUS_ICONS.queued}"></i>
+                <span class="import-name">${this.escapeHtml(entry.file.name)}</span>
+                <span class="import-status">Waiting</span>
+            </div>
+        `).join(''));
+        entries.forEach((entry, index) => {
+            entry.row = list.children[offset + index];
+        });
+    }
+
+    setImportStatus(entry, status, message) {
+        entry.status = status;
+        if (entry.row) {
+            entry.row.className = `import-row ${status}`;
+            entry.row.querySelector('i').className = `fas ${IMPORT_STATUS_ICONS[status]}`;
+            entry.row.querySelector('.import-status').textContent = message;
+        }
+        if (this.importJob) this.updateImportPanel(this.importJob);
+    }
+
+    updateImportPanel(job) {
+        const title = document.getElementById('importTitle');
+        const progress = document.getElementById('importProgress');
+        const cancelBtn = document.getElementById('importCancel');
+
+        const finished = job.entries.filter(entry => IMPORT_FINISHED_STATUSES.includes(entry.status)).length;
+        const running = this.importJob === job;
+
+        if (title) {
+            if (running && job.cancelled) title.textContent = 'Cancelling…';
+            else if (running) title.textContent = `Importing ${finished}/${job.entries.length}`;
+            else title.textContent = job.cancelled ? 'Import cancelled' : 'Import finished';
+        }
+        if (progress) progress.style.width = `${(finished / job.entries.length) * 100}%`;
+        if (cancelBtn) cancelBtn.title = running ? 'Cancel Import' : 'Close';
+    }
+
+    async hashBlob(blob) {
+        if (!window.crypto || !crypto.subtle) return null;
+
+        try {
+            const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            console.error('Failed to hash file:', error);
+            return null;
+        }
+    }
+
+    showChoiceDialog(title, message, choices) {
+        return new Promise(resolve => {
+            this.closeSongEditor();
+
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+                <div class="modal">
+                    <div class="settings-header">
+                        <h3>${this.escapeHtml(title)}</h3>
+                    </div>
+                    <p class="modal-message"></p>
+                    <div class="song-editor-actions">
+                        ${choices.map((choice, index) => `
+                            <button class="settings-btn ${index === 0 ? 'primary' : ''}" data-choice="${choice.value}">${this.escapeHtml(choice.label)}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+            overlay.querySelector('.modal-message').textContent = message;
+
+            const finish = (value) => {
+                overlay.remove();
+                resolve(value);
+            };
+            overlay.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-choice]');
+                if (button) finish(button.dataset.choice);
+                else if (e.target === overlay) finish(null);
+            });
+            overlay.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') finish(null);
+            });
+
+            document.body.appendChild(overlay);
+            overlay.querySelector('[data-choice]').focus();
+        });
+    }
+
+    askDuplicateAction(fileNames) {
+        const listed = fileNames.slice(0, 5).join('\n');
+        const more = fileNames.length > 5 ? `\n…and ${fileNames.length - 5} more` : '';
+        return this.showChoiceDialog(
+            'Duplicate songs',
+            `${fileNames.length} file(s) are already in your library:\n${listed}${more}`,
+            [
+                { value: 'skip', label: 'Skip' },
+                { value: 'replace', label: 'Replace' },
+                { value: 'keep', label: 'Keep both' }
+            ]
+        );
+    }
+
+    // Groups identical files and songs whose title, artist and length agree
+    findDuplicates() {
+        const byHash = new Map();
+        this.library.forEach(track => {
+            const hash = track.contentHash;
+            if (!hash) return;
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(track);
+        });
+        const exact = Array.from(byHash.values()).filter(group => group.length > 1);
+
+        const byName = new Map();
+        this.library.forEach(track => {
+            const title = normalizeSearchText((track.title || '').replace(/\s*[([][^)\]]*[)\]]/g, '')).trim();
+            const key = `${title}|${normalizeSearchText(track.artist).trim()}`;
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(track);
+        });
+        const near = Array.from(byName.values())
+            .map(group => group.filter(track =>
+                !track.duration || !group[0].duration || Math.abs(track.duration - group[0].duration) <= 2
+            ))
+            .filter(group => group.length > 1 && new Set(group.map(track => track.contentHash)).size > 1);
+
+        if (exact.length === 0 && near.length === 0) {
+            this.showNotification('No duplicates found', 'success');
+            return;
+        }
+
+        this.showDuplicatesDialog(exact, near);
+    }
+
+    showDuplicatesDialog(exact, near) {
+        this.closeSongEditor();
+
+        const byAge = (a, b) => (a.dateAdded || '').localeCompare(b.dateAdded || '') || a.id - b.id;
+        const renderGroup = (group, preselect) => `
+            <div class="duplicate-group">
+                ${group.slice().sort(byAge).map((track, index) => `
+                    <label class="duplicate-row">
+                        <input type="checkbox" value="${track.id}" ${preselect && index > 0 ? 'checked' : ''}>
+                        <div class="track-details">
+                            <span class="track-name">${this.escapeHtml(track.title)}</span>
+                            <span class="track-artist">${this.escapeHtml(track.artist)} · ${track.duration ? this.formatTime(track.duration) : '--:--'} · ${((track.fileSize || 0) / (1024 * 1024)).toFixed(1)} MB</span>
+                        </div>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal duplicates-dialog">
+                <div class="settings-header">
+                    <h3><i class="fas fa-clone"></i> Duplicates</h3>
+                    <button type="button" class="mgmt-btn" data-action="cancel" title="Close"><i class="fas fa-times"></i></button>
+                </div>
+                ${exact.length ? `<h4 class="duplicate-heading">Identical files</h4>${exact.map(group => renderGroup(group, true)).join('')}` : ''}
+                ${near.length ? `<h4 class="duplicate-heading">Possible duplicates</h4>${near.map(group => renderGroup(group, false)).join('')}` : ''}
+                <div class="song-editor-actions">
+                    <button type="button" class="settings-btn" data-action="cancel">Cancel</button>
+                    <button type="button" class="settings-btn primary" data-action="delete">Delete selected</button>
+                </div>
+            </div>
+        `;
+
+        overlay.addEventListener('click', async (e) => {
+            if (e.target === overlay || e.target.closest('[data-action="cancel"]')) {
+                overlay.remove();
+            } else if (e.target.closest('[data-action="delete"]')) {
+                const ids = Array.from(overlay.querySelectorAll('input:checked'), input => parseInt(input.value));
+                if (ids.length === 0) return;
+                if (!confirm(`Delete ${ids.length} song(s)? This cannot be undone.`)) return;
+                overlay.remove();
+                await this.deleteSongs(ids);
+            }
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') overlay.remove();
+        });
+
+        document.body.appendChild(overlay);
+    }
+
+    setupLyrics() {
+        const lyricsBtn = document.getElementById('lyricsBtn');
+        const lyricsPanel = document.getElementById('lyricsPanel');
+        const editLyricsBtn = document.getElementById('editLyrics');
+        const lyricsLines = document.getElementById('lyricsLines');
+
+        if (lyricsBtn && lyricsPanel) {
+            lyricsPanel.style.display = localStorage.getItem('showLyrics') === 'true' ? 'block' : 'none';
+            lyricsBtn.classList.toggle('active', lyricsPanel.style.display === 'block');
+            lyricsBtn.addEventListener('click', () => this.toggleLyricsPanel());
+        }
+        if (editLyricsBtn) editLyricsBtn.addEventListener('click', () => this.openLyricsEditor(this.getCurrentTrack()));
+        if (lyricsLines) {
+            lyricsLines.addEventListener('click', (e) => {
+                const line = e.target.closest('[data-time]');
+                if (!line || !this.audio.duration) return;
+                this.audio.currentTime = parseFloat(line.dataset.time);
+                this.updatePositionState();
+                this.updateLyricsHighlight(true);
+            });
+        }
+    }
+
+    toggleLyricsPanel() {
+        const lyricsBtn = document.getElementById('lyricsBtn');
+        const lyricsPanel = document.getElementById('lyricsPanel');
+        if (!lyricsBtn || !lyricsPanel) return;
+
+        const show = lyricsPanel.style.display === 'none';
+        lyricsPanel.style.display = show ? 'block' : 'none';
+        lyricsBtn.classList.toggle('active', show);
+        localStorage.setItem('showLyrics', show);
+        if (show) {
+            this.updateLyricsHighlight(true);
+            this.startLyricsFrames();
+        }
+    }
+
+    // timeupdate fires only a few times a second, too coarse for the karaoke fill
+    startLyricsFrames() {
+        if (this.lyricsFrame) return;
+        const step = () => {
+            const lyricsPanel = document.getElementById('lyricsPanel');
+            if (!this.isPlaying || !this.lyrics || !this.lyrics.synced || !lyricsPanel || lyricsPanel.style.display === 'none') {
+                this.lyricsFrame = null;
+                return;
+            }
+            this.updateLyricsHighlight();
+            this.lyricsFrame = requestAnimationFrame(step);
+        };
+        this.lyricsFrame = requestAnimationFrame(step);
+    }
+
+    renderLyrics(track) {
+        const lyricsLines = document.getElementById('lyricsLines');
+        const editLyricsBtn = document.getElementById('editLyrics');
+        this.lyrics = track ? parseLyrics(track.lyrics) : null;
+        this.activeLyricIndex = -1;
+        if (editLyricsBtn) editLyricsBtn.disabled = !track || track.id === undefined;
+        if (!lyricsLines) return;
+
+        lyricsLines.scrollTop = 0;
+        lyricsLines.classList.toggle('synced', !!(this.lyrics && this.lyrics.synced));
+        if (!this.lyrics) {
+            lyricsLines.innerHTML = '<div class="browse-empty">No lyrics yet. Drop an .lrc file with the song or paste them in.</div>';
+            return;
+        }
+
+        lyricsLines.innerHTML = this.lyrics.lines.map(line => line.time === null
+            ? `<div class="lyrics-line">${this.escapeHtml(line.text) || '&nbsp;'}</div>`
+            : `<div class="lyrics-line" data-time="${line.time}">${this.escapeHtml(line.text) || '&#9834;'}</div>`
+        ).join('');
+    }
+
+    updateLyricsHighlight(force = false) {
+        const lyricsLines = document.getElementById('lyricsLines');
+        const lyricsPanel = document.getElementById('lyricsPanel');
+        if (!this.lyrics || !this.lyrics.synced || !lyricsLines || !lyricsPanel || lyricsPanel.style.display === 'none') return;
+
+        const time = this.audio.currentTime;
+        const lines = this.lyrics.lines;
+        let index = -1;
+        while (index + 1 < lines.length && lines[index + 1].time <= time) index++;
+
+        const rows = lyricsLines.children;
+        if (index !== this.activeLyricIndex || force) {
+            Array.from(rows).forEach((row, rowIndex) => {
+                row.classList.toggle('active', rowIndex === index);
+                row.classList.toggle('past', rowIndex < index);
+            });
+            this.activeLyricIndex = index;
+
+            const row = rows[Math.max(0, index)];
+            if (row) lyricsLines.scrollTop = row.offsetTop - (lyricsLines.clientHeight - row.offsetHeight) / 2;
+        }
+
+        const row = rows[index];
+        if (row) {
+            const end = index + 1 < lines.length ? lines[index + 1].time : this.audio.duration || time;
+            const progress = end > lines[index].time ? (time - lines[index].time) / (end - lines[index].time) : 1;
+            row.style.setProperty('--lyric-progress', `${Math.min(100, progress * 100)}%`);
+        }
+    }
+
+    openLyricsEditor(track) {
+        if (!track || track.id === undefined) return;
+        this.closeSongEditor();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <form class="modal lyrics-editor">
+                <div class="settings-header">
+                    <h3><i class="fas fa-align-left"></i> Lyrics</h3>
+                    <button type="button" class="mgmt-btn" data-action="cancel" title="Close"><i class="fas fa-times"></i></button>
+                </div>
+                <p class="modal-message"></p>
+                <textarea name="lyrics" rows="14" placeholder="[00:12.30]First line&#10;[00:15.80]Second line"></textarea>
+                <div class="song-editor-actions">
+                    <button type="button" class="settings-btn" data-action="remove">Remove</button>
+                    <button type="button" class="settings-btn" data-action="cancel">Cancel</button>
+                    <button type="submit" class="settings-btn primary">Save</button>
+                </div>
+            </form>
+        `;
+        overlay.querySelector('.modal-message').textContent =
+            `Paste lyrics for "${track.title}". Lines with [mm:ss.xx] timestamps scroll along with the song.`;
+        const textarea = overlay.querySelector('textarea');
+        textarea.value = track.lyrics || '';
+
+        const save = async (lyrics) => {
+            try {
+                await this.saveLyrics(track, lyrics);
+                overlay.remove();
+                this.showNotification(lyrics ? 'Lyrics saved' : 'Lyrics removed', 'success');
+            } catch (error) {
+                console.error('Failed to save lyrics:', error);
+                this.showNotification('Failed to save lyrics', 'error');
+            }
+        };
+
+        overlay.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            save(textarea.value.trim());
+        });
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('[data-action="cancel"]')) {
+                overlay.remove();
+            } else if (e.target.closest('[data-action="remove"]')) {
+                save('');
+            }
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') overlay.remove();
+        });
+
+        document.body.appendChild(overlay);
+        textarea.focus();
+    }
+
+    async saveLyrics(track, lyrics) {
+        await this.storage.updateSong(track.id, { lyrics });
+        track.lyrics = lyrics;
+        if (track === this.loadedTrack) {
+            this.renderLyrics(track);
+            this.updateLyricsHighlight(true);
+        }
+    }
+
+    setupStats() {
+        const statsBtn = document.getElementById('statsBtn');
+        if (statsBtn) statsBtn.addEventListener('click', () => this.openStats());
+    }
+
+    openStats(range = 'week') {
+        this.closeSongEditor();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal stats-dialog">
+                <div class="settings-header">
+                    <h3><i class="fas fa-chart-line"></i> Listening stats</h3>
+                    <button type="button" class="mgmt-btn" data-action="close" title="Close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="browse-tabs">
+                    ${Object.entries(STATS_RANGES).map(([key, { label }]) => `
+                        <button type="button" class="browse-tab" data-range="${key}">${label}</button>
+                    `).join('')}
+                </div>
+                <div class="stats-body"></div>
+            </div>
+        `;
+
+        overlay.addEventListener('click', (e) => {
+            const rangeBtn = e.target.closest('[data-range]');
+            if (rangeBtn) {
+                this.renderStats(overlay, rangeBtn.dataset.range);
+            } else if (e.target === overlay || e.target.closest('[data-action="close"]')) {
+                overlay.remove();
+            }
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') overlay.remove();
+        });
+
+        document.body.appendChild(overlay);
+        overlay.querySelector('[data-action="close"]').focus();
+        this.renderStats(overlay, range);
+    }
+
+    async renderStats(overlay, range) {
+        overlay.querySelectorAll('[data-range]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.range === range);
+        });
+        const body = overlay.querySelector('.stats-body');
+
+        let entries;
+        try {
+            const { days } = STATS_RANGES[range];
+            const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+            entries = await this.storage.getHistory(since);
+        } catch (error) {
+            console.error('Failed to load play history:', error);
+            body.innerHTML = '<div class="browse-empty">Could not load your play history</div>';
+            return;
+        }
+
+        if (entries.length === 0) {
+            body.innerHTML = '<div class="browse-empty">Nothing played in this period yet</div>';
+            return;
+        }
+
+        const stats = summarizeHistory(entries);
+
+        const busiest = Math.max(...stats.heatmap.flat(), 1);
+        const renderList = (items, describe) => items.length
+            ? `<ol class="stats-list">${items.map(item => `<li>${describe(item)}<span class="stats-count">${item.plays}</span></li>`).join('')}</ol>`
+            : '<div class="browse-empty">No plays yet</div>';
+
+        body.innerHTML = `
+            <div class="stats-summary">
+                <div><strong>${formatListeningTime(stats.seconds)}</strong><span>Listening time</span></div>
+                <div><strong>${stats.plays}</strong><span>Plays</span></div>
+                <div><strong>${stats.skips}</strong><span>Skips</span></div>
+            </div>
+            <h4 class="duplicate-heading">Top tracks</h4>
+            ${renderList(stats.topTracks, track => `
+                <span class="stats-name">${this.escapeHtml(track.title)}<small>${this.escapeHtml(track.artist)}</small></span>
+            `)}
+            <h4 class="duplicate-heading">Top artists</h4>
+            ${renderList(stats.topArtists, artist => `<span class="stats-name">${this.escapeHtml(artist.name)}</span>`)}
+            <h4 class="duplicate-heading">When you listen</h4>
+            <div class="stats-heatmap">
+                ${stats.heatmap.map((hours, day) => `
+                    <span class="stats-day">${WEEKDAY_NAMES[day]}</span>
+                    ${hours.map((seconds, hour) => `
+                        <span class="stats-cell" style="opacity: ${0.08 + 0.92 * (seconds / busiest)}"
+                            title="${WEEKDAY_NAMES[day]} ${String(hour).padStart(2, '0')}:00 · ${formatListeningTime(seconds)}"></span>
+                    `).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    async deleteSongs(ids) {
+        const currentTrack = this.getCurrentTrack();
+        const removed = [];
+        for (const id of ids) {
+            try {
+                await this.storage.deleteSong(id);
+                removed.push(id);
+            } catch (error) {
+                console.error(`Failed to delete song ${id}:`, error);
+            }
+        }
+        const removedSet = new Set(removed);
+
+        this.library = this.library.filter(track => !removedSet.has(track.id));
+        this.playlists.forEach(playlist => {
+            playlist.songIds = playlist.songIds.filter(id => !removedSet.has(id));
+        });
+        this.queue = this.queue.filter(id => !removedSet.has(id));
+        if (this.queueTrack && removedSet.has(this.queueTrack.id)) this.queueTrack = null;
+        removed.forEach(id => this.selectedIds.delete(id));
+        this.saveQueue();
+        this.invalidateSearch();
+
+        const hasListTrack = this.refreshActivePlaylist();
+        if (currentTrack && removedSet.has(currentTrack.id)) {
+            if (hasListTrack) {
+                this.loadTrack(this.currentTrackIndex);
+            } else if (this.playlist.length > 0) {
+                this.currentTrackIndex = 0;
+                this.loadTrack(0);
+            } else {
+                this.resetPlayer();
+            }
+        }
+
+        this.updatePlaylistDisplay();
+        this.renderStorageDashboard();
+        if (removed.length < ids.length) {
+            this.showNotification(`Failed to delete ${ids.length - removed.length} song(s)`, 'error');
+        } else {
+            this.showNotification(`Deleted ${removed.length} song(s)`, 'success');
+        }
+    }
+
+    readReplayGainTags(tags) {
+        const parse = (key) => {
+            const value = parseFloat(tags.custom[key]);
+            return Number.isFinite(value) ? value : null;
+        };
+
+        let trackGain = parse('REPLAYGAIN_TRACK_GAIN');
+        let albumGain = parse('REPLAYGAIN_ALBUM_GAIN');
+
+        // Opus R128 gains are Q7.8 fixed point relative to -23 LUFS
+        if (trackGain === null && parse('R128_TRACK_GAIN') !== null) {
+            trackGain = parse('R128_TRACK_GAIN') / 256 + (REPLAYGAIN_REFERENCE_LUFS + 23);
+        }
+        if (albumGain === null && parse('R128_ALBUM_GAIN') !== null) {
+            albumGain = parse('R128_ALBUM_GAIN') / 256 + (REPLAYGAIN_REFERENCE_LUFS + 23);
+        }
+
+        if (trackGain === null) return null;
+
+        return {
+            trackGain,
+            trackPeak: parse('REPLAYGAIN_TRACK_PEAK'),
+            albumGain,
+            albumPeak: parse('REPLAYGAIN_ALBUM_PEAK'),
+            source: 'tags'
+        };
+    }
+
+    computeReplayGain(entries) {
+        const albums = new Map();
+
+        entries.forEach(entry => {
+            entry.replayGain = this.readReplayGainTags(entry.tags);
+            if (entry.replayGain || !entry.analysis) return;
+
+            const { blocks, peak } = entry.analysis;
+            const loudness = this.audioAnalyzer.integratedLoudness(blocks);
+            if (loudness === null) return;
+
+            entry.replayGain = {
+                trackGain: this.audioAnalyzer.gainFor(loudness),
+                trackPeak: peak,
+                albumGain: null,
+                albumPeak: null,
+                source: 'analysis'
+            };
+
+            if (entry.tags.album) {
+                if (!albums.has(entry.tags.album)) albums.set(entry.tags.album, []);
+                albums.get(entry.tags.album).push({ entry, blocks, peak });
+            }
+        });
+
+        albums.forEach(tracks => {
+            const blocks = tracks.flatMap(track => Array.from(track.blocks));
+            const loudness = this.audioAnalyzer.integratedLoudness(blocks);
+            if (loudness === null) return;
+
+            const albumGain = this.audioAnalyzer.gainFor(loudness);
+            const albumPeak = Math.max(...tracks.map(track => track.peak));
+            tracks.forEach(({ entry }) => {
+                entry.replayGain.albumGain = albumGain;
+                entry.replayGain.albumPeak = albumPeak;
+            });
+        });
+    }
+
+    togglePlayPause() {
+        if (this.playlist.length === 0) {
+            this.showNotification('No songs in playlist', 'error');
+            return;
+        }
+        
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+    
+    // Resolves with whether playback started; reportBlocked: false leaves a blocked autoplay to the caller
+    play(reportBlocked = true) {
+        if (!this.audio.src) {
+            this.showNotification('No track loaded', 'error');
+            return Promise.resolve(false);
+        }
+
+        this.ensureAudioGraph();
+        const deck = this.audio;
+        const startAt = this.pendingStart;
+        const from = deck.currentTime;
+        this.pendingStart = null;
+        if (startAt === null) this.setDeckDelay(deck, 0);
+
+        return deck.play().then(() => {
+            if (startAt !== null) this.alignDeck(deck, from, startAt);
+            this.isPlaying = true;
+            this.playPauseBtn.innerHTML = '<i class="fas fa-pause"></i>';
+            document.body.classList.add('playing');
+            this.updateVisualizer();
+            if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'playing';
+            return true;
+        }).catch(error => {
+            if (!reportBlocked && error.name === 'NotAllowedError') return false;
+            console.error('Failed to play audio:', error);
+            this.showNotification('Failed to play audio', 'error');
+            return false;
+        });
+    }
+    
+    pause() {
+        this.audio.pause();
+        this.cancelTransition();
+        if (this.fadingDeck) {
+            this.stopFadingDeck();
+            this.preloadNextTrack();
+        }
+        this.isPlaying = false;
+        this.playPauseBtn.innerHTML = '<i class="fas fa-play"></i>';
+        document.body.classList.remove('playing');
+        this.updateVisualizer();
+        this.savePlaybackState();
+        if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'paused';
+    }
+
+    // The graph is built on the first play() so the AudioContext starts from a user gesture
+    ensureAudioGraph() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        if (!this.audioContext) {
+            try {
+                this.audioContext = new AudioContextClass();
+                this.outputNode = this.audioContext.createGain();
+                this.equalizer = new Equalizer(this.audioContext);
+                this.outputNode.connect(this.equalizer.input);
+                this.limiter = this.audioContext.createDynamicsCompressor();
+                this.limiter.threshold.value = -1;
+                this.limiter.knee.value = 0;
+                this.limiter.ratio.value = 20;
+                this.limiter.attack.value = 0.003;
+                this.limiter.release.value = 0.25;
+                this.limiter.connect(this.audioContext.destination);
+                this.masterNode = this.audioContext.createGain();
+                this.equalizer.output.connect(this.masterNode);
+                this.connectLimiter();
+
+                this.analyser = this.audioContext.createAnalyser();
+                this.analyser.fftSize = 2048;
+                this.analyser.smoothingTimeConstant = 0.8;
+                this.equalizer.output.connect(this.analyser);
+                if (this.visualizer) this.visualizer.setAnalyser(this.analyser);
+                this.applyEqualizer();
+
+                this.decks.forEach(deck => {
+                    const source = this.audioContext.createMediaElementSource(deck);
+                    const delay = this.audioContext.createDelay(TRANSITION_LEAD_SECONDS);
+                    const level = this.audioContext.createGain();
+                    const gain = this.audioContext.createGain();
+                    source.connect(delay);
+                    delay.connect(level);
+                    level.connect(gain);
+                    this.deckDelays.set(deck, delay);
+                    gain.connect(this.outputNode);
+                    this.deckLevels.set(deck, level);
+                    this.deckGains.set(deck, gain);
+                });
+                this.applyReplayGain(this.audio, this.getCurrentTrack());
+                this.applyReplayGain(this.nextDeck, this.preloadedTrack);
+            } catch (error) {
+                console.error('Failed to set up Web Audio:', error);
+                this.audioContext = null;
+                return;
+            }
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    connectLimiter() {
+        if (!this.masterNode) return;
+        this.masterNode.disconnect();
+        this.masterNode.connect(this.preventClipping ? this.limiter : this.audioContext.destination);
+    }
+
+    setupReplayGain() {
+        const replayGainSelect = document.getElementById('replayGainMode');
+        const preventClippingToggle = document.getElementById('preventClipping');
+
+        if (replayGainSelect) {
+            replayGainSelect.value = this.replayGainMode;
+            replayGainSelect.addEventListener('change', (e) => {
+                this.replayGainMode = e.target.value;
+                localStorage.setItem('replayGainMode', this.replayGainMode);
+                this.applyReplayGain(this.audio, this.getCurrentTrack());
+                this.applyReplayGain(this.nextDeck, this.preloadedTrack);
+            });
+        }
+
+        if (preventClippingToggle) {
+            preventClippingToggle.checked = this.preventClipping;
+            preventClippingToggle.addEventListener('change', (e) => {
+                this.preventClipping = e.target.checked;
+                localStorage.setItem('preventClipping', this.preventClipping);
+                this.connectLimiter();
+                this.applyReplayGain(this.audio, this.getCurrentTrack());
+                this.applyReplayGain(this.nextDeck, this.preloadedTrack);
+            });
+        }
+    }
+
+    getReplayGainLevel(track) {
+        const replayGain = track && track.replayGain;
+        if (this.replayGainMode === 'off' || !replayGain) return 1;
+
+        const useAlbum = this.replayGainMode === 'album' && typeof replayGain.albumGain === 'number';
+        const gain = useAlbum ? replayGain.albumGain : replayGain.trackGain;
+        const peak = useAlbum ? replayGain.albumPeak : replayGain.trackPeak;
+
+        let level = Math.pow(10, gain / 20);
+        if (this.preventClipping && peak > 0) {
+            level = Math.min(level, 1 / peak);
+        }
+        return level;
+    }
+
+    applyReplayGain(deck, track) {
+        const level = this.deckLevels.get(deck);
+        if (!level) return;
+        level.gain.setTargetAtTime(this.getReplayGainLevel(track), this.audioContext.currentTime, 0.01);
+    }
+
+    getCrossfadeDuration() {
+        if (!this.audioContext || !this.crossfade || !this.audio.duration) return 0;
+        return Math.min(this.crossfade, this.audio.duration / 2);
+    }
+
+    peekNextTrack() {
+        if (this.repeatMode === 'one') return this.getCurrentTrack();
+
+        const queuedTrack = this.queue
+            .map(id => this.library.find(track => track.id === id))
+            .find(Boolean);
+        if (queuedTrack) return queuedTrack;
+
+        if (this.shuffle) {
+            const id = this.shuffleOrder[this.shufflePosition + 1];
+            return id === undefined ? null : this.playlist.find(track => track.id === id) || null;
+        }
+
+        const nextIndex = this.currentTrackIndex + 1;
+        if (nextIndex < this.playlist.length) return this.playlist[nextIndex];
+        return this.repeatMode === 'off' ? null : this.playlist[0] || null;
+    }
+
+    preloadNextTrack() {
+        if (this.fadingDeck) return;
+
+        const track = this.gapless || this.crossfade > 0 ? this.peekNextTrack() : null;
+        if (track === this.preloadedTrack) return;
+
+        this.preloadedTrack = track && this.getTrackSrc(track) ? track : null;
+        if (this.preloadedTrack) {
+            this.nextDeck.src = this.getTrackSrc(this.preloadedTrack);
+            this.nextDeck.load();
+            this.applyReplayGain(this.nextDeck, this.preloadedTrack);
+            this.applyPlaybackRate(this.nextDeck, this.preloadedTrack);
+            if (this.getBookmark(track)) this.seekWhenReady(this.nextDeck, track.bookmark);
+        } else {
+            this.nextDeck.removeAttribute('src');
+        }
+    }
+
+    // The switch happens on the AudioContext clock: the incoming deck starts a moment early behind
+    // a delay that lines its first sample up with the end of the outgoing one
+    scheduleTransition() {
+        if (!this.isPlaying || this.transition || !this.preloadedTrack || !this.audio.duration || !this.audioContext) return;
+        if (this.loopEnd !== null || this.stopsAfterCurrentTrack()) return;
+
+        const now = this.audioContext.currentTime;
+        const remaining = (this.audio.duration - this.audio.currentTime) / (this.audio.playbackRate || 1);
+        const startAt = now + remaining + this.getDeckDelay(this.audio) - this.getCrossfadeDuration();
+        if (startAt - now > TRANSITION_LEAD_SECONDS) return;
+
+        // Background tabs clamp timers to a second, so start straight away there
+        const wait = document.hidden ? 0 : startAt - now - TRANSITION_PREROLL_SECONDS;
+        const transition = { startAt, timer: null };
+        transition.timer = setTimeout(() => this.beginTransition(transition), Math.max(0, wait * 1000));
+        this.transition = transition;
+    }
+
+    cancelTransition() {
+        if (this.transition) clearTimeout(this.transition.timer);
+        this.transition = null;
+    }
+
+    beginTransition(transition) {
+        if (this.transition !== transition) return;
+        this.transition = null;
+        if (!this.isPlaying || !this.preloadedTrack) return;
+
+        this.transitioning = transition.startAt;
+        if (this.repeatMode === 'one') {
+            this.setCurrentTrack(this.getCurrentTrack());
+            this.play();
+        } else {
+            this.nextTrack();
+        }
+        this.transitioning = null;
+    }
+
+    swapDecks() {
+        const outgoing = this.audio;
+        const incoming = this.nextDeck;
+        const startAt = this.transitioning;
+        const fade = startAt !== null ? this.getCrossfadeDuration() : 0;
+
+        this.audio = incoming;
+        this.nextDeck = outgoing;
+        this.preloadedTrack = null;
+
+        if (startAt === null) {
+            this.rampDeckGain(incoming, 1, 1, 0);
+            this.stopDeck(outgoing);
+            return;
+        }
+
+        this.pendingStart = startAt;
+        this.rampDeckGain(incoming, 0, 1, fade, startAt);
+        this.rampDeckGain(outgoing, 1, 0, fade, startAt);
+        this.fadingDeck = outgoing;
+        this.fadeTimer = setTimeout(() => {
+            this.stopFadingDeck();
+            this.preloadNextTrack();
+        }, (startAt + fade - this.audioContext.currentTime) * 1000 + 100);
+    }
+
+    getDeckDelay(deck) {
+        const delay = this.deckDelays.get(deck);
+        return delay ? delay.delayTime.value : 0;
+    }
+
+    setDeckDelay(deck, seconds) {
+        const delay = this.deckDelays.get(deck);
+        if (delay) delay.delayTime.setValueAtTime(seconds, this.audioContext.currentTime);
+    }
+
+    alignDeck(deck, from, startAt) {
+        if (!this.audioContext) return;
+        const now = this.audioContext.currentTime;
+        const startedAt = now - (deck.currentTime - from) / (deck.playbackRate || 1);
+        this.setDeckDelay(deck, Math.min(TRANSITION_LEAD_SECONDS, Math.max(0, startAt - startedAt)));
+    }
+
+    rampDeckGain(deck, from, to, duration, at = null) {
+        const gain = this.deckGains.get(deck);
+        if (!gain) return;
+
+        const now = this.audioContext.currentTime;
+        const start = Math.max(now, at === null ? now : at);
+        gain.gain.cancelScheduledValues(now);
+        if (start > now) gain.gain.setValueAtTime(from, now);
+        if (duration <= 0 || from === to) {
+            gain.gain.setValueAtTime(to, start);
+            return;
+        }
+
+        const curve = new Float32Array(64);
+        for (let i = 0; i < curve.length; i++) {
+            const t = i / (curve.length - 1);
+            curve[i] = to > from ? Math.sin(t * Math.PI / 2) : Math.cos(t * Math.PI / 2);
+        }
+        gain.gain.setValueCurveAtTime(curve, start, duration);
+    }
+
+    stopDeck(deck) {
+        deck.pause();
+        deck.removeAttribute('src');
+        deck.load();
+        this.rampDeckGain(deck, 1, 1, 0);
+        this.setDeckDelay(deck, 0);
+    }
+
+    stopFadingDeck() {
+        clearTimeout(this.fadeTimer);
+        this.fadeTimer = null;
+        if (this.fadingDeck) {
+            this.stopDeck(this.fadingDeck);
+            this.fadingDeck = null;
+        }
+    }
+    
+    previousTrack() {
+        if (this.playlist.length === 0) return;
+
+        if (this.queueTrack && this.playlist[this.currentTrackIndex]) {
+            this.loadTrack(this.currentTrackIndex);
+            if (this.isPlaying) this.play();
+            return;
+        }
+
+        if (this.shuffle) {
+            this.syncShuffleOrder();
+            if (this.shufflePosition <= 0) {
+                this.audio.currentTime = 0;
+                return;
+            }
+            this.shufflePosition--;
+            this.saveShuffleOrder();
+            this.currentTrackIndex = this.getShuffleTrackIndex();
+        } else {
+            this.currentTrackIndex = this.currentTrackIndex <= 0 
+                ? this.playlist.length - 1 
+                : this.currentTrackIndex - 1;
+        }
+        
+        this.loadTrack(this.currentTrackIndex);
+        if (this.isPlaying) this.play();
+    }
+    
+    nextTrack() {
+        const queuedTrack = this.takeFromQueue();
+        if (queuedTrack) {
+            this.loadQueueTrack(queuedTrack);
+            if (this.isPlaying) this.play();
+            return;
+        }
+
+        if (this.playlist.length === 0) return;
+
+        const nextIndex = this.getNextTrackIndex();
+        if (nextIndex === -1) {
+            this.stopAtEnd();
+            return;
+        }
+        
+        this.currentTrackIndex = nextIndex;
+        this.loadTrack(this.currentTrackIndex);
+        if (this.isPlaying) this.play();
+    }
+
+    handleTrackEnded() {
+        this.cancelTransition();
+
+        // A loop that ends at the very end of the song reaches ended before the timer fires
+        if (this.loopEnd !== null) {
+            this.audio.currentTime = this.loopStart || 0;
+            this.play();
+            return;
+        }
+
+        if (this.stopsAfterCurrentTrack()) {
+            this.finishSleepTimer();
+            this.nextTrack();
+            return;
+        }
+
+        if (this.repeatMode === 'one') {
+            this.beginListen(this.loadedTrack);
+            this.audio.currentTime = 0;
+            this.play();
+            return;
+        }
+
+        this.nextTrack();
+    }
+
+    getNextTrackIndex() {
+        if (!this.shuffle) {
+            const nextIndex = this.currentTrackIndex + 1;
+            if (nextIndex < this.playlist.length) return nextIndex;
+            return this.repeatMode === 'off' ? -1 : 0;
+        }
+
+        this.syncShuffleOrder();
+        if (this.shufflePosition + 1 >= this.shuffleOrder.length) {
+            if (this.repeatMode === 'off') return -1;
+            this.buildShuffleOrder(true);
+        } else {
+            this.shufflePosition++;
+            this.saveShuffleOrder();
+        }
+
+        return this.getShuffleTrackIndex();
+    }
+
+    stopAtEnd() {
+        this.pause();
+        if (this.shuffle) {
+            this.buildShuffleOrder(true);
+            this.currentTrackIndex = this.getShuffleTrackIndex();
+        } else {
+            this.currentTrackIndex = 0;
+        }
+        this.loadTrack(this.currentTrackIndex);
+    }
+
+    getRestoredTrackIndex(playbackState) {
+        const savedIndex = playbackState
+            ? this.playlist.findIndex(track => track.id === playbackState.listTrackId)
+            : -1;
+        if (savedIndex !== -1) {
+            if (this.shuffle) {
+                this.currentTrackIndex = savedIndex;
+                this.syncShuffleOrder();
+            }
+            return savedIndex;
+        }
 
-        ['dragleave', 'drop'].forEach(eventName => {
-            dropZone.addEventListener(eventName, () => {
-                dropZone.classList.remove('drag-over');
-            });
-        });
+        if (!this.shuffle) return 0;
 
-        dropZone.addEventListener('drop', (e) => {
-            const files = Array.from(e.dataTransfer.files);
-            this.processFiles(files);
-        });
+        this.currentTrackIndex = -1;
+        this.syncShuffleOrder();
+        const index = this.getShuffleTrackIndex();
+        return index === -1 ? 0 : index;
     }
 
-    setupPlaylistManagement() {
-        const exportBtn = document.getElementById('exportPlaylist');
-        const clearBtn = document.getElementById('clearAll');
+    restorePlaybackState(playbackState) {
+        if (!playbackState) return;
 
-        if (exportBtn) exportBtn.addEventListener('click', () => this.exportPlaylist());
-        if (clearBtn) clearBtn.addEventListener('click', () => this.clearAllSongs());
+        const listTrack = this.playlist[this.currentTrackIndex];
+        if (playbackState.trackId !== listTrack.id) {
+            const queuedTrack = this.library.find(track => track.id === playbackState.trackId);
+            if (!queuedTrack || !playbackState.fromQueue) return;
+            this.loadQueueTrack(queuedTrack);
+        }
+
+        if (playbackState.position > 0) {
+            this.seekWhenReady(this.audio, playbackState.position);
+        }
+
+        // Browsers block audio that starts without a gesture, so playback resumes on the first click
+        if (playbackState.playing) {
+            document.addEventListener('pointerdown', () => {
+                if (!this.isPlaying) this.play();
+            }, { once: true });
+            this.showNotification('Click anywhere to continue where you left off', 'info');
+        }
     }
 
-    loadSampleTrack() {
-        const sampleTrack = {
-            title: 'Welcome to AYUSH\'S Player',
-            artist: 'Sample Track',
-            src: '',
-            albumArt: './attached_assets/icon_1753919744489.png'
-        };
-        
-        this.playlist = [sampleTrack];
-        this.loadTrack(0);
-        this.updatePlaylistDisplay();
+    savePlaybackState() {
+        const track = this.getCurrentTrack();
+        if (!track || track.id === undefined) return;
+
+        const listTrack = this.playlist[this.currentTrackIndex];
+        localStorage.setItem('playbackState', JSON.stringify({
+            trackId: track.id,
+            listTrackId: listTrack ? listTrack.id : null,
+            fromQueue: !!this.queueTrack,
+            position: this.audio.currentTime || 0,
+            playing: this.isPlaying
+        }));
+        this.saveBookmark(track);
     }
 
-    async handleFileUpload(e) {
-        const files = Array.from(e.target.files);
-        await this.processFiles(files);
-        e.target.value = '';
+    isLongTrack(track) {
+        const duration = track === this.loadedTrack && this.audio.duration ? this.audio.duration : track.duration;
+        return this.bookmarkMinutes > 0 && duration > this.bookmarkMinutes * 60;
     }
 
-    async processFiles(files) {
-        const audioFiles = files.filter(file => file.type.startsWith('audio/'));
-        
-        if (audioFiles.length === 0) {
-            this.showNotification('No audio files found', 'error');
+    getBookmark(track) {
+        return track && track.bookmark && this.isLongTrack(track) ? track.bookmark : 0;
+    }
+
+    saveBookmark(track) {
+        if (!track || track.id === undefined || track !== this.loadedTrack || !this.isLongTrack(track)) return;
+
+        const position = this.audio.currentTime || 0;
+        const bookmark = position > 5 && this.audio.duration - position > 10 ? position : null;
+        if (Math.abs((track.bookmark || 0) - (bookmark || 0)) < 1) return;
+
+        track.bookmark = bookmark;
+        this.storage.updateSong(track.id, { bookmark }).catch(error => {
+            console.error('Failed to save bookmark:', error);
+        });
+    }
+
+    // Seeking has to wait for metadata, and is dropped if the deck moved on to another source
+    seekWhenReady(deck, time) {
+        if (deck.readyState >= 1) {
+            deck.currentTime = time;
             return;
         }
 
-        this.showNotification(`Processing ${audioFiles.length} file(s)...`, 'info');
-        
-        for (const file of audioFiles) {
-            try {
-                const audioBlob = new Blob([file], { type: file.type });
-                const songData = {
-                    title: file.name.replace(/\.[^/.]+$/, ""),
-                    artist: 'Unknown Artist',
-                    audioBlob: audioBlob,
-                    albumArt: './attached_assets/icon_1753919744489.png',
-                    duration: 0,
-                    fileSize: file.size
-                };
+        const src = deck.src;
+        deck.addEventListener('loadedmetadata', () => {
+            if (deck.src === src) deck.currentTime = time;
+        }, { once: true });
+    }
 
-                const id = await this.storage.saveSong(songData);
-                const trackWithId = {
-                    ...songData,
-                    id: id,
-                    src: URL.createObjectURL(audioBlob)
-                };
+    getShuffleTrackIndex() {
+        const id = this.shuffleOrder[this.shufflePosition];
+        return this.playlist.findIndex(track => track.id === id);
+    }
 
-                this.playlist.push(trackWithId);
-                
-                if (this.playlist.length === 1 && this.trackTitle.textContent === 'Select a song') {
-                    this.loadTrack(0);
-                }
-            } catch (error) {
-                console.error('Failed to save song:', error);
-                this.showNotification(`Failed to save: ${file.name}`, 'error');
+    buildShuffleOrder(newCycle = false) {
+        const ids = this.playlist.map(track => track.id);
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+
+        const currentTrack = this.playlist[this.currentTrackIndex];
+        if (currentTrack && ids.length > 1) {
+            const position = ids.indexOf(currentTrack.id);
+            ids.splice(position, 1);
+            if (newCycle) {
+                ids.splice(1 + Math.floor(Math.random() * (ids.length - 1)), 0, currentTrack.id);
+            } else {
+                ids.unshift(currentTrack.id);
             }
         }
-        
-        this.updatePlaylistDisplay();
-        this.showNotification(`Added ${audioFiles.length} song(s) to your library`, 'success');
+
+        this.shuffleOrder = ids;
+        this.shufflePosition = 0;
+        this.saveShuffleOrder();
     }
 
-    togglePlayPause() {
-        if (this.playlist.length === 0) {
-            this.showNotification('No songs in playlist', 'error');
-            return;
-        }
-        
-        if (this.isPlaying) {
-            this.pause();
+    syncShuffleOrder() {
+        const ids = this.playlist.map(track => track.id);
+        const currentTrack = this.playlist[this.currentTrackIndex];
+        const playedIds = new Set(this.shuffleOrder.slice(0, this.shufflePosition + 1));
+
+        this.shuffleOrder = this.shuffleOrder.filter(id => ids.includes(id));
+        ids.filter(id => !this.shuffleOrder.includes(id)).forEach(id => {
+            const playedCount = this.shuffleOrder.filter(orderId => playedIds.has(orderId)).length;
+            const position = playedCount + Math.floor(Math.random() * (this.shuffleOrder.length - playedCount + 1));
+            this.shuffleOrder.splice(position, 0, id);
+        });
+
+        if (currentTrack) {
+            this.shufflePosition = this.shuffleOrder.indexOf(currentTrack.id);
         } else {
-            this.play();
+            this.shufflePosition = Math.min(this.shufflePosition, this.shuffleOrder.length - 1);
         }
+        this.saveShuffleOrder();
     }
-    
-    play() {
-        if (!this.audio.src) {
-            this.showNotification('No track loaded', 'error');
-            return;
+
+    // Tracks picked by hand move to the current shuffle position so the rest of the order is kept
+    markShufflePlayed(track) {
+        if (!this.shuffle || track.id === undefined) return;
+        if (this.shuffleOrder[this.shufflePosition] === track.id) return;
+
+        const position = this.shuffleOrder.indexOf(track.id);
+        if (position !== -1 && position <= this.shufflePosition) {
+            this.shufflePosition = position;
+        } else {
+            if (position !== -1) this.shuffleOrder.splice(position, 1);
+            this.shufflePosition = Math.min(this.shufflePosition + 1, this.shuffleOrder.length);
+            this.shuffleOrder.splice(this.shufflePosition, 0, track.id);
         }
+        this.saveShuffleOrder();
+    }
 
-        this.audio.play().then(() => {
-            this.isPlaying = true;
-            this.playPauseBtn.innerHTML = '<i class="fas fa-pause"></i>';
-            document.body.classList.add('playing');
-        }).catch(error => {
-            console.error('Failed to play audio:', error);
-            this.showNotification('Failed to play audio', 'error');
-        });
+    saveShuffleOrder() {
+        localStorage.setItem('shuffleOrder', JSON.stringify(this.shuffleOrder));
+        localStorage.setItem('shufflePosition', this.shufflePosition);
     }
-    
-    pause() {
-        this.audio.pause();
-        this.isPlaying = false;
-        this.playPauseBtn.innerHTML = '<i class="fas fa-play"></i>';
-        document.body.classList.remove('playing');
+
+    toggleShuffle() {
+        this.shuffle = !this.shuffle;
+        localStorage.setItem('shuffle', this.shuffle);
+        if (this.shuffle) this.buildShuffleOrder();
+
+        this.updatePlaybackModeButtons();
+        this.preloadNextTrack();
+        this.showNotification(`Shuffle ${this.shuffle ? 'on' : 'off'}`, 'info');
     }
-    
-    previousTrack() {
-        if (this.playlist.length === 0) return;
-        
-        this.currentTrackIndex = this.currentTrackIndex === 0 
-            ? this.playlist.length - 1 
-            : this.currentTrackIndex - 1;
-        
-        this.loadTrack(this.currentTrackIndex);
-        if (this.isPlaying) this.play();
+
+    cycleRepeatMode() {
+        const modes = ['all', 'one', 'off'];
+        this.repeatMode = modes[(modes.indexOf(this.repeatMode) + 1) % modes.length];
+        localStorage.setItem('repeatMode', this.repeatMode);
+
+        const labels = { all: 'Repeat all', one: 'Repeat one', off: 'Stop at end of list' };
+        this.updatePlaybackModeButtons();
+        this.showNotification(labels[this.repeatMode], 'info');
+        this.preloadNextTrack();
     }
-    
-    nextTrack() {
-        if (this.playlist.length === 0) return;
-        
-        this.currentTrackIndex = (this.currentTrackIndex + 1) % this.playlist.length;
-        this.loadTrack(this.currentTrackIndex);
-        if (this.isPlaying) this.play();
+
+    updatePlaybackModeButtons() {
+        if (this.shuffleBtn) {
+            this.shuffleBtn.classList.toggle('active', this.shuffle);
+        }
+        if (this.repeatBtn) {
+            const labels = { all: 'Repeat all', one: 'Repeat one', off: 'Repeat off' };
+            this.repeatBtn.classList.toggle('active', this.repeatMode !== 'off');
+            this.repeatBtn.classList.toggle('repeat-one', this.repeatMode === 'one');
+            this.repeatBtn.title = labels[this.repeatMode] + this.shortcutHint('repeat');
+        }
     }
 
     loadTrack(index) {
         if (!this.playlist[index]) return;
         
         const track = this.playlist[index];
-        this.audio.src = track.src;
-        this.trackTitle.textContent = track.title;
-        this.trackArtist.textContent = track.artist;
-        this.albumArt.src = track.albumArt || './attached_assets/icon_1753919744489.png';
-        
-        this.updatePlaylistDisplay();
+        this.queueTrack = null;
+        this.markShufflePlayed(track);
+        this.setCurrentTrack(track);
+    }
+
+    loadQueueTrack(track) {
+        this.queueTrack = track;
+        this.setCurrentTrack(track);
+    }
+
+    setCurrentTrack(track) {
+        this.cancelTransition();
+        this.stopFadingDeck();
+        this.saveBookmark(this.loadedTrack);
+
+        const usePreloaded = track === this.preloadedTrack && !!this.nextDeck.src;
+        if (usePreloaded) {
+            this.swapDecks();
+        } else {
+            this.rampDeckGain(this.audio, 1, 1, 0);
+            this.audio.src = this.getTrackSrc(track);
+            this.applyReplayGain(this.audio, track);
+            if (this.getBookmark(track)) this.seekWhenReady(this.audio, track.bookmark);
+        }
+        this.applyPlaybackRate(this.audio, track);
+        if (track !== this.loadedTrack) this.setLoop(null, null);
+        this.loadedTrack = track;
+
+        this.updateNowPlaying(track);
+        this.updateActiveRow();
         this.resetProgress();
-        this.addToRecentlyPlayed(track);
+        this.beginListen(track);
+
+        this.applyEqualizer();
+
+        // A preloaded deck already fired loadedmetadata while it was waiting in the wings
+        if (usePreloaded && this.audio.readyState >= 1) {
+            this.updateDuration();
+            this.preloadNextTrack();
+        }
     }
 
-    addToRecentlyPlayed(track) {
-        const recentTrack = {
-            title: track.title,
-            artist: track.artist,
-            playedAt: new Date().toISOString()
-        };
-        
-        this.recentlyPlayed = this.recentlyPlayed.filter(t => 
-            !(t.title === track.title && t.artist === track.artist)
-        );
-        
-        this.recentlyPlayed.unshift(recentTrack);
-        this.recentlyPlayed = this.recentlyPlayed.slice(0, 10);
-        
-        localStorage.setItem('recentlyPlayed', JSON.stringify(this.recentlyPlayed));
+    updateNowPlaying(track) {
+        this.trackTitle.textContent = track.title;
+        this.trackArtist.textContent = track.album ? `${track.artist} — ${track.album}` : track.artist;
+        this.albumArt.src = this.getCoverUrl(track);
+        this.updateMediaMetadata(track);
+        this.renderLyrics(track);
+        this.releaseObjectUrls();
+    }
+
+    getTrackSrc(track) {
+        return track.audioBlob ? this.objectUrls.get(`audio:${track.id}`, track.audioBlob) : track.src;
+    }
+
+    getCoverUrl(track) {
+        if (track.coverBlob) return this.objectUrls.get(`cover:${track.id}`, track.coverBlob);
+        return track.albumArt || './attached_assets/icon_1753919744489.png';
+    }
+
+    releaseObjectUrls() {
+        const urlsInUse = new Set([this.audio.src, this.nextDeck.src, this.albumArt.src]);
+        const editorCover = document.querySelector('.song-editor-cover img');
+        if (editorCover) urlsInUse.add(editorCover.src);
+        this.objectUrls.releaseUnused(urlsInUse);
+    }
+
+    beginListen(track) {
+        this.finishListen();
+        if (track && track.id !== undefined) {
+            this.listen = { track, listened: 0, lastTime: null, recorded: null };
+        }
+    }
+
+    // Counts heard seconds from timeupdate; seeks jump further than two events are ever apart
+    trackListen() {
+        const listen = this.listen;
+        if (!listen || !this.isPlaying) return;
+
+        const time = this.audio.currentTime;
+        if (listen.lastTime !== null) {
+            const delta = time - listen.lastTime;
+            if (delta > 0 && delta < 2) listen.listened += delta;
+        }
+        listen.lastTime = time;
+
+        const threshold = Math.min(this.audio.duration * PLAY_THRESHOLD_FRACTION, PLAY_THRESHOLD_SECONDS);
+        if (!listen.recorded && this.audio.duration && listen.listened >= threshold) {
+            listen.recorded = this.recordListen(listen, 'play');
+        }
+    }
+
+    finishListen() {
+        const listen = this.listen;
+        this.listen = null;
+        if (!listen) return;
+
+        if (listen.recorded) {
+            this.saveListenedTime(listen);
+        } else if (listen.listened >= SKIP_MIN_SECONDS) {
+            this.recordListen(listen, 'skip');
+        }
+    }
+
+    // The play entry is written at the threshold, so the time heard after it is added once the listen ends
+    saveListenedTime(listen) {
+        if (!listen || !listen.recorded) return;
+        listen.recorded.then(id => {
+            if (id === null) return;
+            return this.storage.updateHistoryEntry(id, { listened: Math.round(listen.listened) });
+        }).catch(error => console.error('Failed to update play history:', error));
+    }
+
+    async recordListen(listen, type) {
+        const { track } = listen;
+        try {
+            const { id, changes } = await this.storage.recordHistory({
+                songId: track.id,
+                title: track.title,
+                artist: track.artist,
+                type,
+                playedAt: new Date().toISOString(),
+                listened: Math.round(listen.listened)
+            });
+            if (changes) {
+                Object.assign(track, changes);
+                this.searchIndex.clearResults();
+            }
+            return id;
+        } catch (error) {
+            console.error('Failed to record play history:', error);
+            return null;
+        }
     }
 
     async deleteSong(id, index) {
@@ -379,8 +6002,18 @@ class EnhancedMusicPlayer {
 
         try {
             await this.storage.deleteSong(id);
+            this.library = this.library.filter(track => track.id !== id);
+            this.invalidateSearch();
+            this.playlists.forEach(playlist => {
+                playlist.songIds = playlist.songIds.filter(songId => songId !== id);
+            });
+            this.queue = this.queue.filter(songId => songId !== id);
+            this.saveQueue();
             this.playlist.splice(index, 1);
-            
+
+            const wasQueueTrack = this.queueTrack && this.queueTrack.id === id;
+            if (wasQueueTrack) this.queueTrack = null;
+
             if (index === this.currentTrackIndex) {
                 if (this.playlist.length > 0) {
                     const newIndex = Math.min(index, this.playlist.length - 1);
@@ -389,8 +6022,9 @@ class EnhancedMusicPlayer {
                 } else {
                     this.resetPlayer();
                 }
-            } else if (index < this.currentTrackIndex) {
-                this.currentTrackIndex--;
+            } else {
+                if (index < this.currentTrackIndex) this.currentTrackIndex--;
+                if (wasQueueTrack) this.loadTrack(this.currentTrackIndex);
             }
             
             this.updatePlaylistDisplay();
@@ -402,71 +6036,340 @@ class EnhancedMusicPlayer {
     }
 
     resetPlayer() {
+        this.finishListen();
         this.audio.src = '';
         this.trackTitle.textContent = 'Select a song';
         this.trackArtist.textContent = 'Unknown Artist';
         this.albumArt.src = './attached_assets/icon_1753919744489.png';
         this.resetProgress();
         this.pause();
+        this.renderLyrics(null);
+        this.releaseObjectUrls();
     }
 
     filterPlaylist(query) {
-        const playlistItems = this.playlistContainer.querySelectorAll('.playlist-item:not(.upload-section)');
-        
-        playlistItems.forEach((item, index) => {
+        this.searchQuery = query;
+        this.updatePlaylistDisplay();
+    }
+
+    getSearchResults() {
+        if (!this.searchQuery) return null;
+        return this.searchIndex.search(this.searchQuery, this.library, this.playlist);
+    }
+
+    async setSort(sortBy) {
+        this.sortBy = LIBRARY_SORTS[sortBy] ? sortBy : 'default';
+        localStorage.setItem('sortBy', this.sortBy);
+        await this.loadSortOrder();
+        this.refreshActivePlaylist();
+        if (this.shuffle) this.syncShuffleOrder();
+        this.preloadNextTrack();
+        this.updatePlaylistDisplay();
+    }
+
+    invalidateSearch() {
+        this.searchIndex.invalidate();
+        this.browseGroupCache.clear();
+    }
+
+    setupPlaylistView() {
+        this.playlistContainer.addEventListener('scroll', () => this.schedulePlaylistRender());
+        window.addEventListener('resize', () => this.schedulePlaylistRender());
+
+        this.playlistWindow.addEventListener('click', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (!item) return;
+
+            const index = parseInt(item.dataset.index);
             const track = this.playlist[index];
-            if (track) {
-                const matchesSearch = query === '' || 
-                    track.title.toLowerCase().includes(query.toLowerCase()) ||
-                    track.artist.toLowerCase().includes(query.toLowerCase());
-                
-                item.style.display = matchesSearch ? 'flex' : 'none';
+            if (!track) return;
+
+            const menuBtn = e.target.closest('.track-menu');
+            if (menuBtn) {
+                e.stopPropagation();
+                this.showTrackMenu(track, menuBtn);
+            } else if (e.target.closest('.delete-track')) {
+                this.deleteSong(track.id, index);
+            } else if (e.target.closest('.remove-from-playlist')) {
+                this.removeFromPlaylist(index);
+            } else if (track.id !== undefined && (e.ctrlKey || e.metaKey || e.shiftKey)) {
+                this.selectTrack(index, e.shiftKey);
+            } else {
+                this.currentTrackIndex = index;
+                this.loadTrack(index);
+                if (this.isPlaying) this.play();
             }
         });
     }
 
+    // Only the rows inside the scroll viewport (plus a few either side) exist in the DOM
     updatePlaylistDisplay() {
-        const existingItems = this.playlistContainer.querySelectorAll('.playlist-item:not(.upload-section)');
-        existingItems.forEach(item => item.remove());
-        
-        if (this.playlist.length === 0) {
-            return;
+        this.searchResults = this.getSearchResults();
+        this.updateSearchStatus();
+
+        if (this.searchResults) {
+            const positions = new Map(this.playlist.map((track, index) => [track, index]));
+            this.viewIndexes = this.searchResults.map(track => positions.get(track));
+        } else {
+            this.viewIndexes = this.playlist.map((track, index) => index);
         }
-        
-        this.playlist.forEach((track, index) => {
-            const item = document.createElement('div');
-            item.className = `playlist-item ${index === this.currentTrackIndex ? 'active' : ''}`;
-            item.innerHTML = `
-                <i class="fas fa-music"></i>
-                <div class="track-details">
-                    <span class="track-name">${this.escapeHtml(track.title)}</span>
-                    <span class="track-artist">${this.escapeHtml(track.artist)}</span>
-                </div>
-                <div class="track-actions">
-                    <span class="track-duration">--:--</span>
-                    ${track.id ? `<button class="delete-track" data-id="${track.id}" data-index="${index}" title="Delete"><i class="fas fa-trash"></i></button>` : ''}
+
+        this.playlistWindow.style.height = `${this.viewIndexes.length * PLAYLIST_ROW_HEIGHT}px`;
+        this.renderPlaylistWindow();
+        if (this.browseTab !== 'songs') this.renderBrowseView();
+    }
+
+    schedulePlaylistRender() {
+        if (this.renderFrame) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderPlaylistWindow();
+        });
+    }
+
+    renderPlaylistWindow() {
+        const offset = this.playlistContainer.scrollTop - this.playlistWindow.offsetTop;
+        const viewportHeight = this.playlistContainer.clientHeight || PLAYLIST_ROW_HEIGHT * 10;
+        const first = Math.max(0, Math.floor(offset / PLAYLIST_ROW_HEIGHT) - PLAYLIST_OVERSCAN);
+        const last = Math.min(
+            this.viewIndexes.length,
+            Math.ceil((offset + viewportHeight) / PLAYLIST_ROW_HEIGHT) + PLAYLIST_OVERSCAN
+        );
+
+        const isPlaylistView = !!this.getActivePlaylist();
+        const currentTrack = this.getCurrentTrack();
+
+        this.playlistWindow.innerHTML = this.viewIndexes.slice(first, last).map((index, position) => {
+            const track = this.playlist[index];
+            const classes = ['playlist-item'];
+            if (track === currentTrack) classes.push('active');
+            if (this.selectedIds.has(track.id)) classes.push('selected');
+
+            return `
+                <div class="${classes.join(' ')}" data-index="${index}" style="top: ${(first + position) * PLAYLIST_ROW_HEIGHT}px">
+                    <i class="fas fa-music"></i>
+                    <div class="track-details">
+                        <span class="track-name">${this.escapeHtml(track.title)}</span>
+                        <span class="track-artist">${this.escapeHtml(track.artist)}</span>
+                    </div>
+                    <div class="track-actions">
+                        <span class="track-duration">${track.duration ? this.formatTime(track.duration) : '--:--'}</span>
+                        ${track.id ? `<button class="track-menu" title="More Actions"><i class="fas fa-ellipsis-h"></i></button>` : ''}
+                        ${track.id && isPlaylistView ? `<button class="remove-from-playlist" title="Remove from Playlist"><i class="fas fa-minus"></i></button>` : ''}
+                        ${track.id && !isPlaylistView ? `<button class="delete-track" title="Delete"><i class="fas fa-trash"></i></button>` : ''}
+                    </div>
                 </div>
             `;
-            
-            item.addEventListener('click', (e) => {
-                if (!e.target.closest('.delete-track')) {
-                    this.currentTrackIndex = index;
-                    this.loadTrack(index);
-                    if (this.isPlaying) this.play();
+        }).join('');
+    }
+
+    updateActiveRow() {
+        const currentTrack = this.getCurrentTrack();
+        this.playlistWindow.querySelectorAll('.playlist-item').forEach(item => {
+            item.classList.toggle('active', this.playlist[parseInt(item.dataset.index)] === currentTrack);
+        });
+    }
+
+    selectTrack(index, extendRange) {
+        const track = this.playlist[index];
+        if (extendRange && this.lastSelectedIndex !== null && this.playlist[this.lastSelectedIndex]) {
+            const start = Math.min(index, this.lastSelectedIndex);
+            const end = Math.max(index, this.lastSelectedIndex);
+            this.playlist.slice(start, end + 1)
+                .filter(item => !this.searchResults || this.searchResults.includes(item))
+                .forEach(item => this.selectedIds.add(item.id));
+        } else if (this.selectedIds.has(track.id)) {
+            this.selectedIds.delete(track.id);
+        } else {
+            this.selectedIds.add(track.id);
+        }
+
+        this.lastSelectedIndex = index;
+        this.updateSelectionDisplay();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.lastSelectedIndex = null;
+        this.updateSelectionDisplay();
+    }
+
+    getSelectedTracks() {
+        return this.library.filter(track => this.selectedIds.has(track.id));
+    }
+
+    updateSelectionDisplay() {
+        this.playlistWindow.querySelectorAll('.playlist-item').forEach(item => {
+            const track = this.playlist[parseInt(item.dataset.index)];
+            item.classList.toggle('selected', !!track && this.selectedIds.has(track.id));
+        });
+
+        const editSelectedBtn = document.getElementById('editSelected');
+        if (editSelectedBtn) {
+            editSelectedBtn.disabled = this.selectedIds.size === 0;
+            editSelectedBtn.title = this.selectedIds.size
+                ? `Edit ${this.selectedIds.size} Selected Song(s)`
+                : 'Edit Selected (Ctrl+Click or Shift+Click songs to select)';
+        }
+    }
+
+    // With several songs, fields that differ start empty and only the ones the user touches are written
+    openSongEditor(tracks) {
+        tracks = tracks.filter(track => track.id !== undefined);
+        if (tracks.length === 0) return;
+        this.closeSongEditor();
+
+        const isBulk = tracks.length > 1;
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <form class="modal song-editor">
+                <div class="settings-header">
+                    <h3><i class="fas fa-edit"></i> ${isBulk ? `Edit ${tracks.length} songs` : 'Edit song'}</h3>
+                    <button type="button" class="mgmt-btn" data-action="cancel" title="Close"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="song-editor-body">
+                    <label class="song-editor-cover" title="Change cover">
+                        <img alt="Cover">
+                        <span><i class="fas fa-camera"></i> Change cover</span>
+                        <input type="file" name="cover" accept="image/*" style="display: none;">
+                    </label>
+                    <div class="song-editor-fields">
+                        ${SONG_EDITOR_FIELDS.map(field => `
+                            <label class="settings-row">
+                                <span>${field.label}</span>
+                                <input type="${field.type}" name="${field.key}" ${field.type === 'number' ? 'min="0"' : ''}>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="song-editor-actions">
+                    <button type="button" class="settings-btn" data-action="cancel">Cancel</button>
+                    <button type="submit" class="settings-btn primary">Save</button>
+                </div>
+            </form>
+        `;
+
+        const form = overlay.querySelector('form');
+        const coverImage = overlay.querySelector('.song-editor-cover img');
+        const coverInput = overlay.querySelector('input[name="cover"]');
+        let coverFile = null;
+        let previewUrl = null;
+
+        // Values are assigned through the DOM so quotes in titles cannot break the markup
+        SONG_EDITOR_FIELDS.forEach(field => {
+            const input = form.elements[field.key];
+            const values = tracks.map(track => track[field.key] ?? '');
+            if (values.every(value => value === values[0])) {
+                input.value = values[0];
+            } else {
+                input.placeholder = 'Multiple values';
+            }
+            input.addEventListener('input', () => {
+                input.dataset.dirty = 'true';
+            });
+        });
+
+        coverImage.src = this.getCoverUrl(tracks[0]);
+        coverInput.addEventListener('change', () => {
+            const file = coverInput.files[0];
+            if (!file || !file.type.startsWith('image/')) return;
+            coverFile = file;
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            previewUrl = URL.createObjectURL(file);
+            coverImage.src = previewUrl;
+        });
+
+        const close = () => {
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            this.closeSongEditor();
+        };
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('[data-action="cancel"]')) close();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') close();
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const changes = {};
+            SONG_EDITOR_FIELDS.forEach(field => {
+                const input = form.elements[field.key];
+                if (!input.dataset.dirty) return;
+
+                const value = input.value.trim();
+                if (field.type === 'number') {
+                    changes[field.key] = value ? parseInt(value) : null;
+                } else if (field.key === 'title') {
+                    if (value) changes.title = value;
+                } else if (field.key === 'artist') {
+                    changes.artist = value || 'Unknown Artist';
+                } else {
+                    changes[field.key] = value || null;
                 }
             });
 
-            const deleteBtn = item.querySelector('.delete-track');
-            if (deleteBtn) {
-                deleteBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.deleteSong(parseInt(e.currentTarget.dataset.id), parseInt(e.currentTarget.dataset.index));
-                });
-            }
-            
-            const uploadSection = this.playlistContainer.querySelector('.upload-section');
-            this.playlistContainer.insertBefore(item, uploadSection);
+            close();
+            await this.saveSongEdits(tracks, changes, coverFile);
         });
+
+        document.body.appendChild(overlay);
+        form.elements.title.focus();
+    }
+
+    closeSongEditor() {
+        document.querySelectorAll('.modal-overlay').forEach(overlay => overlay.remove());
+    }
+
+    async saveSongEdits(tracks, changes, coverFile) {
+        if (Object.keys(changes).length === 0 && !coverFile) return;
+
+        let failed = 0;
+        for (const track of tracks) {
+            const update = coverFile ? { ...changes, coverBlob: coverFile } : changes;
+            try {
+                await this.storage.updateSong(track.id, update);
+                Object.assign(track, update);
+            } catch (error) {
+                console.error(`Failed to update ${track.title}:`, error);
+                failed++;
+            }
+        }
+
+        this.invalidateSearch();
+        const sort = LIBRARY_SORTS[this.sortBy];
+        if (sort && sort.fields.some(field => field in changes)) {
+            await this.loadSortOrder();
+            this.refreshActivePlaylist();
+        }
+
+        const currentTrack = this.getCurrentTrack();
+        if (tracks.includes(currentTrack)) this.updateNowPlaying(currentTrack);
+        this.updatePlaylistDisplay();
+        this.updateQueueDisplay();
+
+        if (failed > 0) {
+            this.showNotification(`Failed to update ${failed} song(s)`, 'error');
+        } else {
+            this.showNotification(`Updated ${tracks.length} song(s)`, 'success');
+        }
+    }
+
+    updateSearchStatus() {
+        const searchStatus = document.getElementById('searchStatus');
+        if (!searchStatus) return;
+
+        if (this.searchResults) {
+            searchStatus.textContent = this.searchResults.length
+                ? `${this.searchResults.length} of ${this.playlist.length} songs`
+                : 'No songs match your search';
+            searchStatus.style.display = 'block';
+        } else {
+            searchStatus.style.display = 'none';
+        }
     }
 
     escapeHtml(text) {
@@ -475,10 +6378,31 @@ class EnhancedMusicPlayer {
         return div.innerHTML;
     }
 
-    async exportPlaylist() {
+    async exportPlaylist(format = 'json') {
         try {
+            const activePlaylist = this.getActivePlaylist();
+            const name = activePlaylist ? activePlaylist.name : 'AYUSH\'S Music Player Playlist';
+
+            if (format !== 'json') {
+                const tracks = this.playlist.filter(track => track.id !== undefined);
+                const files = {
+                    m3u8: { text: () => this.playlistCodec.toM3U8(name, tracks), type: 'audio/x-mpegurl' },
+                    pls: { text: () => this.playlistCodec.toPLS(tracks), type: 'audio/x-scpls' },
+                    xspf: { text: () => this.playlistCodec.toXSPF(name, tracks), type: 'application/xspf+xml' }
+                };
+                const dataBlob = new Blob([files[format].text()], { type: files[format].type });
+
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(dataBlob);
+                link.download = `${name.replace(/[\\/:*?"<>|]/g, '_')}.${format}`;
+                link.click();
+
+                this.showNotification(`Playlist exported as ${format.toUpperCase()}`, 'success');
+                return;
+            }
+
             const playlistData = {
-                name: 'AYUSH\'S Music Player Playlist',
+                name: name,
                 exported: new Date().toISOString(),
                 songs: this.playlist.map(song => ({
                     title: song.title,
@@ -503,6 +6427,389 @@ class EnhancedMusicPlayer {
         }
     }
 
+    setupBackup() {
+        const backupBtn = document.getElementById('backupLibrary');
+        const restoreBtn = document.getElementById('restoreLibrary');
+        const restoreInput = document.getElementById('restoreInput');
+        const duplicatesBtn = document.getElementById('findDuplicates');
+
+        if (duplicatesBtn) duplicatesBtn.addEventListener('click', () => this.findDuplicates());
+
+        if (backupBtn) backupBtn.addEventListener('click', () => this.backupLibrary());
+        if (restoreBtn && restoreInput) {
+            restoreBtn.addEventListener('click', () => restoreInput.click());
+            restoreInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.restoreLibrary(file);
+            });
+        }
+    }
+
+    setupServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('service-worker.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        }).catch(error => console.error('Failed to register service worker:', error));
+
+        // Only reload for an update the user accepted, not when the first worker takes control
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) window.location.reload();
+        });
+    }
+
+    showUpdatePrompt(worker) {
+        const banner = document.getElementById('updateBanner');
+        const reloadBtn = document.getElementById('updateReload');
+        const dismissBtn = document.getElementById('updateDismiss');
+        if (!banner || !reloadBtn || !dismissBtn) return;
+
+        banner.style.display = 'flex';
+        reloadBtn.onclick = () => {
+            this.updateAccepted = true;
+            this.savePlaybackState();
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+        dismissBtn.onclick = () => {
+            banner.style.display = 'none';
+        };
+    }
+
+    setupLaunchQueue() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+            try {
+                const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+                await this.processFiles(files);
+            } catch (error) {
+                console.error('Failed to open launched files:', error);
+                this.showNotification('Failed to open the selected files', 'error');
+            }
+        });
+    }
+
+    setupStorageDashboard() {
+        const settingsBtn = document.getElementById('settingsBtn');
+        const list = document.getElementById('storageList');
+
+        if (settingsBtn) settingsBtn.addEventListener('click', () => this.renderStorageDashboard());
+        if (list) {
+            list.addEventListener('click', async (e) => {
+                const button = e.target.closest('[data-delete-id]');
+                if (!button) return;
+                const id = Number(button.dataset.deleteId);
+                const track = this.library.find(song => song.id === id);
+                if (!track || !confirm(`Delete "${track.title}" from your library?`)) return;
+                await this.deleteSongs([id]);
+            });
+        }
+    }
+
+    async renderStorageDashboard() {
+        const panel = document.getElementById('settingsPanel');
+        const summary = document.getElementById('storageSummary');
+        const fill = document.getElementById('storageBarFill');
+        const list = document.getElementById('storageList');
+        if (!panel || panel.style.display === 'none' || !summary || !list) return;
+
+        const songs = this.library.filter(track => track.audioBlob);
+        const libraryBytes = songs.reduce((total, track) => total + (track.fileSize || track.audioBlob.size || 0), 0);
+        const lines = [`Library: ${formatBytes(libraryBytes)} in ${songs.length} song(s)`];
+
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+                const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+                lines.unshift(`Using ${formatBytes(usage)} of ${formatBytes(quota)}`);
+                lines.push(persisted ? 'Protected from automatic cleanup' : 'The browser may clear this library when space runs low');
+                if (fill) fill.style.width = `${quota > 0 ? Math.min(100, (usage / quota) * 100) : 0}%`;
+            } catch (error) {
+                console.error('Failed to estimate storage:', error);
+            }
+        }
+        summary.textContent = lines.join('\n');
+
+        const largest = [...songs]
+            .sort((a, b) => (b.fileSize || 0) - (a.fileSize || 0))
+            .slice(0, 10);
+        list.innerHTML = largest.map(track => `
+            <div class="storage-row">
+                <span class="storage-name">${this.escapeHtml(track.title)}<small>${this.escapeHtml(track.artist)}</small></span>
+                <span class="storage-size">${formatBytes(track.fileSize || 0)}</span>
+                <button class="mgmt-btn" data-delete-id="${track.id}" title="Delete Song"><i class="fas fa-trash"></i></button>
+            </div>
+        `).join('');
+    }
+
+    async backupLibrary() {
+        try {
+            const songs = await this.storage.getAllSongs();
+            if (songs.length === 0) {
+                this.showNotification('Your library is empty', 'info');
+                return;
+            }
+
+            const manifest = {
+                format: BACKUP_FORMAT,
+                version: 1,
+                exported: new Date().toISOString(),
+                songs: songs.map(song => {
+                    const { audioBlob, coverBlob, waveform, ...record } = song;
+                    return {
+                        ...record,
+                        waveform: waveform ? Array.from(waveform) : null,
+                        audio: `audio/${song.id}.${fileExtensionFor(audioBlob.type)}`,
+                        audioType: audioBlob.type,
+                        cover: coverBlob ? `covers/${song.id}.${fileExtensionFor(coverBlob.type)}` : null,
+                        coverType: coverBlob ? coverBlob.type : null
+                    };
+                }),
+                playlists: this.playlists.map(playlist => ({
+                    name: playlist.name,
+                    songIds: playlist.songIds,
+                    dateCreated: playlist.dateCreated
+                }))
+            };
+
+            const zip = new ZipWriter();
+            await zip.add('manifest.json', JSON.stringify(manifest, null, 2));
+            for (let i = 0; i < songs.length; i++) {
+                this.setBackupProgress('Backing up', i, songs.length);
+                await zip.add(manifest.songs[i].audio, songs[i].audioBlob);
+                if (songs[i].coverBlob) await zip.add(manifest.songs[i].cover, songs[i].coverBlob);
+            }
+            this.setBackupProgress(null);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(zip.finish());
+            link.download = `music-library-${new Date().toISOString().split('T')[0]}.zip`;
+            link.click();
+            // The archive can be gigabytes, so the URL is released once the download has started
+            setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+
+            this.showNotification(`Backed up ${songs.length} song(s)`, 'success');
+        } catch (error) {
+            console.error('Failed to back up library:', error);
+            this.setBackupProgress(null);
+            this.showNotification('Failed to back up library', 'error');
+        }
+    }
+
+    setBackupProgress(label, done, total) {
+        const progress = document.getElementById('backupProgress');
+        const progressLabel = document.getElementById('backupProgressLabel');
+        const progressFill = document.getElementById('backupProgressFill');
+        if (!progress) return;
+
+        progress.style.display = label ? 'block' : 'none';
+        if (!label) return;
+        if (progressLabel) progressLabel.textContent = `${label} ${done + 1} of ${total}`;
+        if (progressFill) progressFill.style.width = `${(done / total) * 100}%`;
+    }
+
+    findDuplicateSong(song) {
+        if (song.contentHash) {
+            const sameFile = this.library.find(track => track.contentHash === song.contentHash);
+            if (sameFile) return sameFile;
+        }
+
+        return this.library.find(track =>
+            track.title === song.title &&
+            track.artist === song.artist &&
+            track.fileSize === song.fileSize
+        ) || null;
+    }
+
+    async restoreLibrary(file) {
+        let manifest;
+        let zip;
+        try {
+            zip = new ZipReader(file);
+            await zip.open();
+            if (!zip.has('manifest.json')) throw new Error('Missing manifest');
+            manifest = JSON.parse(await zip.getText('manifest.json'));
+            if (manifest.format !== BACKUP_FORMAT) throw new Error('Unknown backup format');
+        } catch (error) {
+            console.error('Failed to read backup:', error);
+            this.showNotification('This file is not a library backup', 'error');
+            return;
+        }
+
+        const idMap = new Map();
+        const restoredIds = new Set();
+        let restored = 0;
+        let skipped = 0;
+        let failed = 0;
+
+        for (let i = 0; i < manifest.songs.length; i++) {
+            const { id, audio, audioType, cover, coverType, waveform, ...record } = manifest.songs[i];
+            this.setBackupProgress('Restoring', i, manifest.songs.length);
+
+            try {
+                const duplicate = this.findDuplicateSong(record);
+                let existingId = duplicate ? duplicate.id : undefined;
+                if (existingId === undefined && record.contentHash) {
+                    existingId = await this.storage.getSongIdByHash(record.contentHash);
+                }
+                if (existingId !== undefined && !restoredIds.has(existingId)) {
+                    idMap.set(id, existingId);
+                    skipped++;
+                    continue;
+                }
+
+                const audioBlob = await zip.getBlob(audio, audioType);
+                const coverBlob = cover ? await zip.getBlob(cover, coverType) : null;
+                const songData = {
+                    ...record,
+                    audioBlob: audioBlob,
+                    coverBlob: coverBlob,
+                    waveform: waveform ? Uint8Array.from(waveform) : null
+                };
+
+                const newId = await this.storage.saveSong(songData);
+                this.library.push({ ...songData, id: newId });
+                idMap.set(id, newId);
+                restoredIds.add(newId);
+                restored++;
+            } catch (error) {
+                console.error(`Failed to restore ${record.title}:`, error);
+                failed++;
+            }
+        }
+
+        for (const backupPlaylist of manifest.playlists || []) {
+            const songIds = backupPlaylist.songIds.map(id => idMap.get(id)).filter(id => id !== undefined);
+            try {
+                const existing = this.playlists.find(playlist => playlist.name === backupPlaylist.name);
+                if (existing) {
+                    existing.songIds = [...existing.songIds, ...songIds.filter(id => !existing.songIds.includes(id))];
+                    await this.storage.savePlaylist(existing);
+                } else {
+                    const playlist = { name: backupPlaylist.name, songIds, dateCreated: backupPlaylist.dateCreated };
+                    playlist.id = await this.storage.savePlaylist(playlist);
+                    this.playlists.push(playlist);
+                }
+            } catch (error) {
+                console.error(`Failed to restore playlist ${backupPlaylist.name}:`, error);
+            }
+        }
+
+        this.setBackupProgress(null);
+        this.updatePlaylistSelector();
+        this.invalidateSearch();
+        await this.loadRecentlyAdded();
+        await this.loadSortOrder();
+        if (!this.refreshActivePlaylist() && !this.isPlaying && this.playlist.length > 0) {
+            this.currentTrackIndex = 0;
+            this.loadTrack(0);
+        }
+        this.updatePlaylistDisplay();
+
+        const summary = `Restored ${restored} song(s), skipped ${skipped} duplicate(s)`;
+        this.showNotification(failed ? `${summary}, ${failed} failed` : summary, failed ? 'error' : 'success');
+    }
+
+    matchPlaylistEntry(entry) {
+        const normalize = (text) => (text || '').trim().toLowerCase();
+
+        if (entry.title) {
+            const candidates = this.library.filter(track =>
+                normalize(track.title) === normalize(entry.title) &&
+                (!entry.artist || normalize(track.artist) === normalize(entry.artist))
+            );
+            if (entry.duration) {
+                const durationMatches = candidates
+                    .filter(track => !track.duration || Math.abs(track.duration - entry.duration) <= 3)
+                    .sort((a, b) => Math.abs((a.duration || 0) - entry.duration) - Math.abs((b.duration || 0) - entry.duration));
+                if (durationMatches.length > 0) return durationMatches[0];
+            } else if (candidates.length > 0) {
+                return candidates[0];
+            }
+        }
+
+        if (entry.location) {
+            let fileName = entry.location.split(/[\\/]/).pop();
+            try {
+                fileName = decodeURIComponent(fileName);
+            } catch (error) {
+                // Plain file paths may contain a literal % that is not an escape
+            }
+            fileName = normalize(fileName);
+            const stem = fileName.replace(/\.[^/.]+$/, '');
+
+            return this.library.find(track =>
+                normalize(track.fileName) === fileName ||
+                normalize(`${track.artist} - ${track.title}`) === stem ||
+                normalize(track.title) === stem
+            ) || null;
+        }
+
+        return null;
+    }
+
+    async importPlaylist(file) {
+        let parsed;
+        try {
+            parsed = this.playlistCodec.parse(await file.text(), file.name);
+        } catch (error) {
+            console.error('Failed to read playlist:', error);
+        }
+        if (!parsed) {
+            this.showNotification('Unsupported playlist file', 'error');
+            return;
+        }
+
+        const songIds = [];
+        const unmatched = [];
+        parsed.entries.forEach(entry => {
+            const track = this.matchPlaylistEntry(entry);
+            if (track) {
+                songIds.push(track.id);
+            } else {
+                unmatched.push(entry.title
+                    ? (entry.artist ? `${entry.artist} - ${entry.title}` : entry.title)
+                    : entry.location);
+            }
+        });
+
+        if (songIds.length === 0) {
+            this.showNotification(`None of the ${parsed.entries.length} song(s) are in your library`, 'error');
+            return;
+        }
+
+        try {
+            const playlist = { name: parsed.name, songIds };
+            playlist.id = await this.storage.savePlaylist(playlist);
+            this.playlists.push(playlist);
+            this.switchPlaylist(playlist.id);
+        } catch (error) {
+            console.error('Failed to import playlist:', error);
+            this.showNotification('Failed to import playlist', 'error');
+            return;
+        }
+
+        this.showNotification(`Imported "${parsed.name}" with ${songIds.length} of ${parsed.entries.length} song(s)`, 'success');
+        if (unmatched.length > 0) {
+            const listed = unmatched.slice(0, 20).join('\n');
+            const more = unmatched.length > 20 ? `\n…and ${unmatched.length - 20} more` : '';
+            alert(`${unmatched.length} song(s) were not found in your library:\n\n${listed}${more}`);
+        }
+    }
+
     async clearAllSongs() {
         if (!confirm('Are you sure you want to delete all songs? This cannot be undone.')) {
             return;
@@ -510,6 +6817,14 @@ class EnhancedMusicPlayer {
 
         try {
             await this.storage.clearAll();
+            this.library = [];
+            this.invalidateSearch();
+            this.playlists.forEach(playlist => {
+                playlist.songIds = [];
+            });
+            this.queue = [];
+            this.queueTrack = null;
+            this.saveQueue();
             this.playlist = [];
             this.resetPlayer();
             this.updatePlaylistDisplay();
@@ -566,13 +6881,23 @@ class EnhancedMusicPlayer {
         const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
         const newTime = percent * this.audio.duration;
         this.audio.currentTime = newTime;
+        this.progressHandle.style.left = (percent * 100) + '%';
+        this.drawWaveform(percent);
+        this.showProgressTooltip(e);
     }
     
     stopDragging() {
+        if (!this.isDragging) return;
         this.isDragging = false;
+        this.hideProgressTooltip();
     }
     
     updateProgress() {
+        this.enforceLoop();
+        this.trackListen();
+        this.updateLyricsHighlight();
+        this.startLyricsFrames();
+
         const now = Date.now();
         if (!this.isDragging && this.audio.duration && (now - this.lastProgressUpdate > 100)) {
             this.lastProgressUpdate = now;
@@ -581,12 +6906,84 @@ class EnhancedMusicPlayer {
                 this.progress.style.width = percent + '%';
                 this.progressHandle.style.left = percent + '%';
                 this.currentTimeEl.textContent = this.formatTime(this.audio.currentTime);
+                this.drawWaveform(percent / 100);
             });
         }
+
+        if (now - this.lastStateSave > 5000) {
+            this.lastStateSave = now;
+            this.savePlaybackState();
+            this.updatePositionState();
+        }
+    }
+
+    drawWaveform(playedFraction) {
+        const track = this.getCurrentTrack();
+        const peaks = track && track.waveform;
+        this.progressBar.classList.toggle('has-waveform', !!peaks);
+        if (!peaks || !this.waveformCanvas) return;
+
+        if (playedFraction === undefined) {
+            playedFraction = this.audio.duration ? this.audio.currentTime / this.audio.duration : 0;
+        }
+
+        const canvas = this.waveformCanvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (!width || !height) return;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+
+        const barWidth = 2 * ratio;
+        const gap = ratio;
+        const barCount = Math.floor(width / (barWidth + gap));
+        const playedBars = playedFraction * barCount;
+        const gradient = context.createLinearGradient(0, 0, width, 0);
+        gradient.addColorStop(0, '#667eea');
+        gradient.addColorStop(0.5, '#764ba2');
+        gradient.addColorStop(1, '#f093fb');
+
+        for (let i = 0; i < barCount; i++) {
+            const start = Math.floor((i / barCount) * peaks.length);
+            const end = Math.max(start + 1, Math.floor(((i + 1) / barCount) * peaks.length));
+            let max = 0;
+            for (let j = start; j < end; j++) max = Math.max(max, peaks[j]);
+
+            const barHeight = Math.max(ratio * 2, (max / 255) * height);
+            context.fillStyle = i < playedBars ? gradient : 'rgba(255, 255, 255, 0.3)';
+            context.fillRect(i * (barWidth + gap), (height - barHeight) / 2, barWidth, barHeight);
+        }
+    }
+
+    showProgressTooltip(e) {
+        if (!this.progressTooltip || !this.audio.duration) return;
+
+        const rect = this.progressBar.getBoundingClientRect();
+        const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        this.progressTooltip.textContent = this.formatTime(percent * this.audio.duration);
+        this.progressTooltip.style.left = (percent * 100) + '%';
+        this.progressTooltip.classList.add('visible');
+    }
+
+    hideProgressTooltip() {
+        if (this.progressTooltip && !this.isDragging) {
+            this.progressTooltip.classList.remove('visible');
+        }
     }
     
     updateDuration() {
         this.durationEl.textContent = this.formatTime(this.audio.duration);
+        this.updatePositionState();
+        this.updateLoopDisplay();
+
+        const track = this.getCurrentTrack();
+        if (track && !track.duration && isFinite(this.audio.duration)) track.duration = this.audio.duration;
         
         const currentItem = this.playlistContainer.querySelector('.playlist-item.active .track-duration');
         if (currentItem) {
@@ -599,12 +6996,34 @@ class EnhancedMusicPlayer {
         this.progressHandle.style.left = '0%';
         this.currentTimeEl.textContent = '0:00';
         this.durationEl.textContent = '0:00';
+        this.drawWaveform(0);
     }
     
     setVolume(value) {
-        this.audio.volume = value / 100;
+        this.decks.forEach(deck => {
+            deck.volume = value / 100;
+        });
         this.volumeSlider.value = value;
     }
+
+    changeVolume(step) {
+        const volume = Math.min(100, Math.max(0, parseInt(this.volumeSlider.value) + step));
+        this.setVolume(volume);
+        localStorage.setItem('volume', volume);
+        this.volumeBeforeMute = null;
+    }
+
+    // The saved volume is left alone so a reload while muted comes back audible
+    toggleMute() {
+        const volume = parseInt(this.volumeSlider.value);
+        if (volume > 0) {
+            this.volumeBeforeMute = volume;
+            this.setVolume(0);
+        } else {
+            this.setVolume(this.volumeBeforeMute || parseInt(localStorage.getItem('volume')) || 50);
+            this.volumeBeforeMute = null;
+        }
+    }
     
     formatTime(seconds) {
         if (isNaN(seconds)) return '0:00';
@@ -615,51 +7034,218 @@ class EnhancedMusicPlayer {
     }
     
     handleKeyboard(e) {
-        if (e.target.tagName === 'INPUT') return;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.closest('.modal-overlay')) return;
 
-        switch(e.code) {
-            case 'Space':
+        const characterCombo = characterComboFromEvent(e);
+        const combo = keyComboFromEvent(e);
+        const action = (characterCombo && this.keymap.get(characterCombo)) || (combo && this.keymap.get(combo));
+        if (!action || (e.repeat && !action.repeat)) return;
+
+        e.preventDefault();
+        action.run(this);
+    }
+
+    loadKeyBindings() {
+        const bindings = Object.fromEntries(KEYBOARD_ACTIONS.map(action => [action.id, action.key]));
+        try {
+            const saved = JSON.parse(localStorage.getItem('keyBindings') || '{}');
+            Object.entries(saved).forEach(([id, combo]) => {
+                if (id in bindings) bindings[id] = combo;
+            });
+        } catch (error) {
+            console.error('Failed to load key bindings:', error);
+        }
+        return bindings;
+    }
+
+    buildKeymap() {
+        const keymap = new Map();
+        KEYBOARD_ACTIONS.forEach(action => {
+            const combo = this.keyBindings[action.id];
+            if (combo) keymap.set(combo, action);
+        });
+        return keymap;
+    }
+
+    saveKeyBindings() {
+        localStorage.setItem('keyBindings', JSON.stringify(this.keyBindings));
+        this.keymap = this.buildKeymap();
+        this.updateShortcutHints();
+    }
+
+    shortcutHint(...ids) {
+        const combos = ids.map(id => this.keyBindings[id]).filter(Boolean);
+        return combos.length > 0 ? ` (${combos.map(formatKeyCombo).join(' / ')})` : '';
+    }
+
+    setupShortcuts() {
+        const editShortcutsBtn = document.getElementById('editShortcuts');
+        if (editShortcutsBtn) {
+            editShortcutsBtn.addEventListener('click', () => this.openShortcutsDialog(true));
+        }
+        this.updateShortcutHints();
+    }
+
+    updateShortcutHints() {
+        document.querySelectorAll('[data-shortcut]').forEach(el => {
+            const ids = el.dataset.shortcut.split(' ');
+            const action = KEYBOARD_ACTIONS.find(item => item.id === ids[0]);
+            el.title = (el.dataset.label || action.label) + this.shortcutHint(...ids);
+        });
+        this.updatePlaybackModeButtons();
+    }
+
+    bindKey(id, combo) {
+        const action = KEYBOARD_ACTIONS.find(item => item.id === id);
+        if (RESERVED_KEY_COMBOS.includes(combo)) {
+            this.showNotification(`${formatKeyCombo(combo)} is reserved by the browser`, 'error');
+            return false;
+        }
+
+        const conflict = KEYBOARD_ACTIONS.find(item => item.id !== id && this.keyBindings[item.id] === combo);
+        if (conflict) {
+            if (!confirm(`${formatKeyCombo(combo)} is already used for "${conflict.label}". Use it for "${action.label}" instead?`)) {
+                return false;
+            }
+            this.keyBindings[conflict.id] = null;
+        }
+
+        this.keyBindings[id] = combo;
+        this.saveKeyBindings();
+        return true;
+    }
+
+    openShortcutsDialog(editing = false) {
+        this.closeSongEditor();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        let capturing = null;
+
+        const render = () => {
+            const groups = [...new Set(KEYBOARD_ACTIONS.map(action => action.group))];
+            const rows = group => KEYBOARD_ACTIONS
+                .filter(action => action.group === group && (editing || this.keyBindings[action.id]))
+                .map(action => {
+                    const combo = this.keyBindings[action.id];
+                    const key = editing
+                        ? `<button type="button" class="shortcut-key${capturing === action.id ? ' capturing' : ''}" data-bind="${action.id}">
+                               ${capturing === action.id ? 'Press a key…' : combo ? this.escapeHtml(formatKeyCombo(combo)) : 'Not set'}
+                           </button>
+                           <button type="button" class="mgmt-btn" data-unbind="${action.id}" title="Remove Shortcut" ${combo ? '' : 'disabled'}>
+                               <i class="fas fa-times"></i>
+                           </button>`
+                        : `<kbd>${this.escapeHtml(formatKeyCombo(combo))}</kbd>`;
+                    return `<div class="shortcut-row"><span>${action.label}</span>${key}</div>`;
+                })
+                .join('');
+
+            overlay.innerHTML = `
+                <div class="modal shortcuts-dialog">
+                    <div class="settings-header">
+                        <h3><i class="fas fa-keyboard"></i> Keyboard shortcuts</h3>
+                        <button type="button" class="mgmt-btn" data-action="close" title="Close"><i class="fas fa-times"></i></button>
+                    </div>
+                    ${editing ? '<p class="modal-message">Click a shortcut, then press the new key combination. Esc cancels.</p>' : ''}
+                    ${groups.map(group => {
+                        const groupRows = rows(group);
+                        return groupRows ? `<h4 class="duplicate-heading">${group}</h4>${groupRows}` : '';
+                    }).join('')}
+                    <div class="song-editor-actions">
+                        ${editing
+                            ? `<button type="button" class="settings-btn" data-action="reset">Reset to defaults</button>
+                               <button type="button" class="settings-btn primary" data-action="done">Done</button>`
+                            : '<button type="button" class="settings-btn primary" data-action="edit">Customize</button>'}
+                    </div>
+                </div>
+            `;
+
+            // Focus is left alone after a bind so a Space keyup doesn't click whatever gets focused next
+            if (capturing) overlay.querySelector('.shortcut-key.capturing').focus();
+        };
+
+        overlay.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            const bindBtn = e.target.closest('[data-bind]');
+            const unbindBtn = e.target.closest('[data-unbind]');
+
+            if (e.target === overlay || (action && action.dataset.action === 'close')) {
+                overlay.remove();
+            } else if (bindBtn) {
+                capturing = capturing === bindBtn.dataset.bind ? null : bindBtn.dataset.bind;
+                render();
+            } else if (unbindBtn) {
+                this.keyBindings[unbindBtn.dataset.unbind] = null;
+                this.saveKeyBindings();
+                capturing = null;
+                render();
+            } else if (action && action.dataset.action === 'reset') {
+                if (!confirm('Reset all keyboard shortcuts to their defaults?')) return;
+                this.keyBindings = Object.fromEntries(KEYBOARD_ACTIONS.map(item => [item.id, item.key]));
+                this.saveKeyBindings();
+                capturing = null;
+                render();
+            } else if (action && action.dataset.action === 'edit') {
+                editing = true;
+                render();
+            } else if (action && action.dataset.action === 'done') {
+                overlay.remove();
+            }
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (capturing) {
                 e.preventDefault();
-                this.togglePlayPause();
-                break;
-            case 'ArrowLeft':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.previousTrack();
-                }
-                break;
-            case 'ArrowRight':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    this.nextTrack();
-                }
-                break;
-            case 'ArrowUp':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    const newVolume = Math.min(100, parseInt(this.volumeSlider.value) + 10);
-                    this.setVolume(newVolume);
-                    localStorage.setItem('volume', newVolume);
-                }
-                break;
-            case 'ArrowDown':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    const newVolume = Math.max(0, parseInt(this.volumeSlider.value) - 10);
-                    this.setVolume(newVolume);
-                    localStorage.setItem('volume', newVolume);
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    capturing = null;
+                    render();
+                    return;
                 }
-                break;
-            case 'KeyS':
-                if (e.ctrlKey) {
-                    e.preventDefault();
-                    const searchInput = document.getElementById('searchInput');
-                    if (searchInput) {
-                        searchInput.focus();
-                    }
+                const combo = keyComboFromEvent(e);
+                if (!combo || e.repeat) return;
+                if (this.bindKey(capturing, combo)) {
+                    capturing = null;
+                    render();
                 }
-                break;
+            } else if (e.key === 'Escape') {
+                overlay.remove();
+            }
+        });
+
+        render();
+        document.body.appendChild(overlay);
+        const focusTarget = overlay.querySelector('[data-bind], [data-action="edit"]');
+        if (focusTarget) focusTarget.focus();
+    }
+
+    focusSearch() {
+        const searchInput = document.getElementById('searchInput');
+        if (!searchInput) return;
+        searchInput.focus();
+        searchInput.select();
+    }
+
+    playSearchResult(step) {
+        const results = this.getSearchResults();
+        if (!results || results.length === 0) {
+            this.showNotification('No search results to step through', 'info');
+            return;
         }
+
+        const position = results.indexOf(this.getCurrentTrack());
+        const next = position === -1
+            ? (step > 0 ? 0 : results.length - 1)
+            : (position + step + results.length) % results.length;
+        this.currentTrackIndex = this.playlist.indexOf(results[next]);
+        this.loadTrack(this.currentTrackIndex);
+        this.play();
+    }
+
+    deleteCurrentTrack() {
+        const track = this.getCurrentTrack();
+        if (!track || track.id === undefined) return;
+        if (!confirm(`Delete "${track.title}" from your library?`)) return;
+        this.deleteSongs([track.id]);
     }
 }
 
@@ -0,0 +1,44 @@
+// Bump SHELL_VERSION whenever a shell file changes; the new worker then waits for the update prompt
+const SHELL_VERSION = 3;
+const SHELL_CACHE = `shell-v${SHELL_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './enhanced-style.css',
+    './enhanced-script.js',
+    './manifest.webmanifest',
+    './attached_assets/icon_1753919744489.png',
+    './vendor/fontawesome/css/all.min.css',
+    './vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    './vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    './vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    './vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Launches from the OS file handler are navigations too
+    const cacheKey = request.mode === 'navigate' ? './index.html' : request;
+    event.respondWith(caches.match(cacheKey).then(response => response || fetch(request)));
+});